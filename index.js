@@ -8,8 +8,13 @@
  */
 
 import { extension_settings, getContext } from "../../../extensions.js";
-import { eventSource, event_types, saveSettingsDebounced } from "../../../../script.js";
+import { eventSource, event_types, saveSettingsDebounced, getRequestHeaders, getPastCharacterChats } from "../../../../script.js";
 import { ConnectionManagerRequestService } from "../../shared.js";
+import { getDataBankAttachments } from "../../../chats.js";
+import { getStringHash, debounce, uuidv4, escapeHtml, isFalseBoolean, regexFromString, download, timestampToMoment } from "../../../utils.js";
+import { SlashCommandEnumValue } from "../../../slash-commands/SlashCommandEnumValue.js";
+import { selected_world_info } from "../../../world-info.js";
+import { localforage } from "../../../../lib.js";
 
 // Extension Constants
 const EXTENSION_NAME = "rag-context-injector";
@@ -21,6 +26,7 @@ const ROLES = {
     USER: "user",
     ASSISTANT: "assistant",
     SYSTEM: "system",
+    TOOL: "tool",
 };
 
 // World Info Identifiers
@@ -69,17 +75,68 @@ const RETRIEVAL_PROVIDERS = {
     },
 };
 
-// Default Settings
-const DEFAULT_SETTINGS = {
-    enabled: false,
+// Executable retrieval backends that answer function tool calls
+// Each backend takes {query, max_results} and an optional AbortSignal, and returns ranked passages {text, score, source}
+// settingKeys lists the pipeline settings that change its results (part of the response cache key)
+const RETRIEVAL_BACKENDS = {
+    http: {
+        name: "HTTP/JSON Endpoint",
+        settingKeys: ["retrievalEndpointUrl", "httpMethod", "httpHeaders", "httpBodyTemplate", "httpResultsPath", "httpTextPath", "httpScorePath", "httpSourcePath"],
+        isConfigured: (settings) => Boolean(settings.retrievalEndpointUrl),
+        search: (settings, args, signal) => searchHttpBackend(settings, args, signal),
+    },
+    vectorStorage: {
+        name: "SillyTavern Vector Storage / Data Bank",
+        settingKeys: ["vectorIncludeChat", "vectorIncludeDataBank", "vectorThreshold"],
+        isConfigured: (settings) => settings.vectorIncludeChat || settings.vectorIncludeDataBank,
+        search: (settings, args, signal) => searchVectorStorage(settings, args, signal),
+    },
+    localIndex: {
+        name: "Built-in Local Index (BM25)",
+        settingKeys: ["localIndexCurrentChat", "localIndexPastChats", "localIndexWorldInfo", "localIndexSkipRecent"],
+        isConfigured: (settings) => settings.localIndexCurrentChat || settings.localIndexPastChats || settings.localIndexWorldInfo,
+        search: (settings, args) => searchLocalIndex(settings, args),
+    },
+};
+
+// Default schema for structured output: a list of memories
+const DEFAULT_STRUCTURED_SCHEMA = {
+    type: "object",
+    properties: {
+        memories: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    fact: { type: "string" },
+                    source: { type: "string" },
+                    confidence: { type: "number" },
+                    entities: { type: "array", items: { type: "string" } },
+                },
+                required: ["fact", "source", "confidence", "entities"],
+            },
+        },
+    },
+    required: ["memories"],
+};
+
+// Example sections for split injection; placement keys a section leaves out come from the pipeline
+const DEFAULT_INJECTION_SECTIONS = [
+    { name: "Memories", marker: "## Memories" },
+    { name: "Rules", marker: "## Rules", identifier: "worldInfoAfter", merge: true },
+    { name: "Scene", marker: "## Scene", role: "system", position: "lastUser", side: "before" },
+];
+
+// Default settings for a single RAG pipeline
+// Each pipeline runs independently per generation and is injected on its own
+const DEFAULT_PIPELINE = {
+    id: "",
+    name: "Default",
+    enabled: true,
 
     // Connection Profile for RAG requests
     ragProfileId: "",         // Profile to use for RAG model requests (required)
 
-    // Optional: Filter - only run RAG when main request uses specific profile
-    filterByProfile: false,
-    filterProfileId: "",
-
     // RAG System Configuration
     datastoreId: "",          // Datastore/collection ID for retrieval
 
@@ -88,6 +145,7 @@ const DEFAULT_SETTINGS = {
     toolDescription: "Search the knowledge base for relevant information based on a query",
 
     // Retrieval Settings
+    directRetrieval: false,       // Query the backend directly, without a RAG model
     useNativeRetrieval: false,
     retrievalProvider: "vertexAiSearch",  // Which provider to use for native retrieval
     customRetrievalJson: "",              // Custom JSON for 'custom' provider
@@ -96,6 +154,34 @@ const DEFAULT_SETTINGS = {
     toolChoice: "auto",       // "auto", "required", "none"
     maxResults: 10,
     maxTokens: 1000,          // Max tokens for RAG response
+    maxToolRounds: 3,         // Max tool-call round trips before forcing a final answer
+    retrievalBackend: "http", // Which backend answers function tool calls
+
+    // HTTP/JSON Backend Settings
+    retrievalEndpointUrl: "",                 // {{query}} and {{max_results}} are URL-encoded into the URL
+    httpMethod: "POST",
+    httpHeaders: "",                          // JSON object of extra request headers
+    httpBodyTemplate: '{"query": {{query}}, "max_results": {{max_results}}}',
+    httpResultsPath: "$.results",             // Path to the results array in the response
+    httpTextPath: "text",                     // Paths below are relative to each result
+    httpScorePath: "score",
+    httpSourcePath: "source",
+
+    // Vector Storage Backend Settings
+    vectorIncludeChat: true,       // Query the current chat's vector collection
+    vectorIncludeDataBank: true,   // Query Data Bank attachment collections
+    vectorThreshold: 0.25,
+
+    // Built-in Local Index (BM25) Settings
+    localIndexCurrentChat: true,   // Index the current chat
+    localIndexPastChats: true,     // Index the character's other chats
+    localIndexWorldInfo: true,     // Index active lorebook entries
+    localIndexSkipRecent: 10,      // Don't return the last N messages (already in context)
+
+    // Direct Retrieval Settings
+    directQueryTemplate: "{{lastMessage}}",              // Rendered into the search query
+    directPassageTemplate: "- {{text}}",                 // Rendered once per passage: {{text}}, {{source}}, {{score}}, {{rank}}
+    directTopK: 5,
 
     // RAG Query Configuration
     ragSystemPrompt: "You are a context retrieval assistant. Use the available tools to search for and retrieve relevant information based on the conversation.",
@@ -106,52 +192,261 @@ const DEFAULT_SETTINGS = {
 
     // Injection Placement Configuration
     injectionRole: "assistant",      // "system", "assistant", or "user"
-    injectionPosition: "depth",      // "start" or "depth"
-    injectionDepth: -1,              // 0 = end, -1 = before last, etc.
-    injectionMerge: false,           // Merge with existing message if same role
+    injectionPosition: "depth",      // "start", "depth", "lastUser" or "identifier"
+    injectionDepth: -1,              // 0 = end, -1 = before last, etc.; also the fallback if an anchor is missing
+    injectionMerge: false,           // Merge with existing message if same role; with "identifier", append to it
+    injectionAnchorSide: "before",   // "before" or "after" the anchor of "lastUser" / "identifier"
+    injectionIdentifier: WORLD_INFO.AFTER, // Prompt manager identifier anchored to with "identifier"
+
+    // Split Injection: place sections of the response separately
+    injectionSplit: "off",           // "off", "markers" (heading lines) or "json" (object keys)
+    injectionSections: JSON.stringify(DEFAULT_INJECTION_SECTIONS, null, 2),
 
     // Main Model Tool Access
     enableMainModelTools: false,      // Also add retrieval tool to main model request
     mainModelToolChoice: "auto",      // Tool choice for main model: "auto", "required", "none"
 
+    // History Macros ({{recentHistory}}, {{lastNMessages:N}}...)
+    historyMessageFormat: "{{name}}: {{message}}", // Per message; {{name}}, {{role}}, {{message}}
+    historySkipHidden: true,          // Leave out messages hidden from the prompt
+    historySkipSystem: false,         // Leave out narrator and other system messages
+
+    // Query Expansion: a cheap model writes several search queries, whose results are merged
+    // with reciprocal rank fusion. Not used with native retrieval.
+    queryExpansion: false,
+    expansionProfileId: "",           // Empty = the RAG model profile (required for direct retrieval)
+    expansionCount: 3,
+    expansionPrompt: "Write {{count}} distinct search queries that would find information relevant to the latest message of this conversation in a knowledge base of past conversations and lore. Cover different angles: people, places, events, objects. Reply with one query per line and nothing else.\n\n{{recentHistory}}",
+
+    // Reliability
+    requestTimeoutSeconds: 60,        // Per attempt; 0 = no timeout
+    retryCount: 1,                    // Retries per profile after the first attempt
+    retryDelayMs: 1000,               // Delay before the first retry, doubled for each further retry
+    fallbackProfiles: "",             // Comma-separated connection profile names, tried in order if the RAG profile fails
+    fallbackToDirect: false,          // Finally search the retrieval backend directly
+
+    // Relevance Gating: skip injection (or inject the no-result template) when nothing useful was found
+    relevanceJson: false,             // Ask the RAG model for {"found", "relevance", "context"} JSON
+    minRelevance: 0,                  // 0-1; JSON responses less relevant than this count as nothing found
+    emptyResponsePattern: "",         // Free-text RAG replies matching this text or /regex/flags count as nothing found
+    minPassageScore: 0,               // Backend passages scoring lower are dropped; 0 = keep all
+    noResultTemplate: "",             // Injected when nothing was found; empty = inject nothing
+
+    // Structured Output: the RAG model answers with JSON items, each rendered through the item template
+    structuredOutput: false,
+    structuredUseSchema: true,        // Also send the schema as the profile's structured output (json_schema)
+    structuredSchema: JSON.stringify(DEFAULT_STRUCTURED_SCHEMA, null, 2),
+    structuredItemTemplate: "- {{fact}}{{#if source}} ({{source}}){{/if}}",
+    structuredMinConfidence: 0,       // 0-1; items below are dropped, items without a confidence are kept
+    structuredSort: "confidence",     // "confidence" (highest first) or "response" (model order)
+    structuredDedupe: true,           // Drop repeated facts, and facts already in the prompt
+
+    // Token Budget for the injected content (0 = no limit; the smaller limit wins if both are set)
+    tokenBudget: 0,                   // Max tokens
+    tokenBudgetPercent: 0,            // Max percent of the main model's context size
+    budgetStrategy: "truncate",       // "truncate", "dropPassages", "condense"
+    condenseProfileId: "",            // Profile for condensing; empty = the RAG model profile
+    condensePrompt: "Condense the following retrieved context to at most {{budget}} tokens. Keep names, facts and figures. Reply with the condensed context only.",
+
+    // Trigger Rules (bypassed by /rag-force)
+    triggerOnNormal: true,            // New user turns
+    triggerOnRegenerate: true,
+    triggerOnSwipe: true,
+    triggerOnContinue: true,
+    triggerOnImpersonate: true,
+    triggerOnQuiet: false,            // Background prompts from other extensions
+    triggerEveryNth: 1,               // Only run on every Nth user message
+    triggerKeywords: "",              // Comma-separated keywords or /regex/flags; last message must match one
+    triggerCharacters: "",            // Comma-separated character or group names; empty = all
+};
+
+// Default Settings
+const DEFAULT_SETTINGS = {
+    enabled: false,
+
+    // Presets: named snapshots of all other settings, { id, name, profileId, profileOnly, settings }
+    // profileOnly: RAG only runs with the bound profile while the preset is selected
+    presets: [],
+    selectedPresetId: "",
+
+    // RAG Pipelines (see DEFAULT_PIPELINE)
+    pipelines: [],
+    selectedPipelineId: "",   // Pipeline currently shown in the settings UI
+
+    // Response Cache
+    cacheEnabled: true,        // Re-use identical RAG responses (swipes, regenerates, continues)
+    cacheTtlMinutes: 30,
+    cacheMaxEntries: 50,
+    cachePersist: false,       // Also keep the cache in IndexedDB across reloads
+    cacheBypass: false,        // Always send a fresh request (still refreshes the cache)
+
+    // Stored Context
+    reuseContextOnSwipe: false, // Swipes re-use the context stored on the swiped message
+    showSourcesInMessage: true, // Show retrieved sources below generated messages
+
+    // Group Chats
+    groupPerSpeaker: true,     // Retrieve for the member about to speak: {{char}} and character overrides follow the speaker
+    groupRoundCache: false,    // Re-use each member's runs until the next user message
+
+    // Review
+    confirmBeforeInjecting: false, // Show retrieved context for edit/retry/drop before injecting
+
+    // Warn when the injected context pushes the prompt past the main model's context size
+    warnOnContextOverflow: true,
+
+    // Toast when a pipeline fails or falls back
+    notifyOnFailure: true,
+
     // Additional context to inject
     systemPromptAddition: "",  // Text to append to system prompt
 
     // World Info Settings
     reprocessWorldInfo: false, // Re-run World Info scan after RAG injection
 
+    // Memory Writing: chunk finished messages into passages and write them to a sink
+    ingestEnabled: false,      // Ingest automatically after each reply (not for the export sink)
+    ingestSink: "local",       // local | http | export
+    ingestWindowSize: 4,       // Messages per passage
+    ingestWindowOverlap: 1,    // Messages shared with the previous passage
+    ingestSkipRecent: 2,       // Hold back the last N messages, they may still be edited or swiped
+    ingestEndpointUrl: "",     // HTTP upsert endpoint, receives { passages: [...] }
+    ingestHttpHeaders: "",     // JSON object of extra request headers for the upsert endpoint
+    ingestExportFormat: "jsonl", // jsonl | markdown
+
+    // Summary Memory: a running summary of the chat, kept in chat metadata for {{chatSummary}}
+    summaryEnabled: false,
+    summaryProfileId: "",      // Connection profile that writes the summary
+    summaryEvery: 10,          // Update after this many new messages
+    summaryMaxTokens: 600,
+    summarySkipRecent: 2,      // Hold back the last N messages, they may still be edited or swiped
+    summaryPrompt: "You keep a running summary of a conversation between {{user}} and {{char}}. Update the summary with the new messages below. Keep events, decisions, relationships, names, places and unresolved threads; leave out small talk. Reply with the full updated summary only.\n\n{{#if chatSummary}}Current summary:\n{{chatSummary}}\n\n{{/if}}New messages:\n{{newMessages}}",
+
+    // Trace Log: the last N runs with their prompts, tool, raw response, usage and placement
+    traceEnabled: true,
+    traceLimit: 50,
+
     debugMode: false,
 };
 
 /**
  * UI element bindings configuration
  * Maps DOM element IDs to settings keys with type information
- * Types: 'checkbox' (boolean), 'text' (string), 'number' (integer), 'select' (string)
+ * Types: 'checkbox' (boolean), 'text' (string), 'number' (integer), 'float' (number), 'select' (string)
+ * Bindings marked with pipeline: true read/write the pipeline selected in the UI
  * Special handlers are needed for elements with side effects (marked with onChangeExtra)
  */
 const UI_BINDINGS = [
     { id: 'rag_enabled', key: 'enabled', type: 'checkbox' },
-    { id: 'rag_filter_by_profile', key: 'filterByProfile', type: 'checkbox' },
-    { id: 'rag_datastore_id', key: 'datastoreId', type: 'text' },
-    { id: 'rag_tool_name', key: 'toolName', type: 'text' },
-    { id: 'rag_tool_description', key: 'toolDescription', type: 'text' },
-    { id: 'rag_use_native_retrieval', key: 'useNativeRetrieval', type: 'checkbox', onChangeExtra: 'updateToolTypeVisibility' },
-    { id: 'rag_retrieval_provider', key: 'retrievalProvider', type: 'select', onChangeExtra: 'updateToolTypeVisibility' },
-    { id: 'rag_custom_retrieval_json', key: 'customRetrievalJson', type: 'text', onChangeExtra: 'validateCustomJson' },
-    { id: 'rag_tool_choice', key: 'toolChoice', type: 'select' },
-    { id: 'rag_max_results', key: 'maxResults', type: 'number', default: 10 },
-    { id: 'rag_max_tokens', key: 'maxTokens', type: 'number', default: 1000 },
-    { id: 'rag_system_prompt', key: 'ragSystemPrompt', type: 'text' },
-    { id: 'rag_user_prompt_template', key: 'ragUserPromptTemplate', type: 'text' },
-    { id: 'rag_injection_template', key: 'injectionTemplate', type: 'text' },
-    { id: 'rag_injection_role', key: 'injectionRole', type: 'select' },
-    { id: 'rag_injection_position', key: 'injectionPosition', type: 'select', onChangeExtra: 'updateInjectionPositionVisibility' },
-    { id: 'rag_injection_depth', key: 'injectionDepth', type: 'number', default: -1 },
-    { id: 'rag_injection_merge', key: 'injectionMerge', type: 'checkbox' },
-    { id: 'rag_enable_main_model_tools', key: 'enableMainModelTools', type: 'checkbox' },
-    { id: 'rag_main_model_tool_choice', key: 'mainModelToolChoice', type: 'select' },
+    { id: 'rag_pipeline_name', key: 'name', type: 'text', pipeline: true, onChangeExtra: 'populatePipelineDropdown' },
+    { id: 'rag_pipeline_enabled', key: 'enabled', type: 'checkbox', pipeline: true, onChangeExtra: 'populatePipelineDropdown' },
+    { id: 'rag_datastore_id', key: 'datastoreId', type: 'text', pipeline: true },
+    { id: 'rag_tool_name', key: 'toolName', type: 'text', pipeline: true },
+    { id: 'rag_tool_description', key: 'toolDescription', type: 'text', pipeline: true },
+    { id: 'rag_direct_retrieval', key: 'directRetrieval', type: 'checkbox', pipeline: true, onChangeExtra: 'updateToolTypeVisibility' },
+    { id: 'rag_direct_query_template', key: 'directQueryTemplate', type: 'text', pipeline: true },
+    { id: 'rag_direct_passage_template', key: 'directPassageTemplate', type: 'text', pipeline: true },
+    { id: 'rag_direct_top_k', key: 'directTopK', type: 'number', default: 5, pipeline: true },
+    { id: 'rag_use_native_retrieval', key: 'useNativeRetrieval', type: 'checkbox', pipeline: true, onChangeExtra: 'updateToolTypeVisibility' },
+    { id: 'rag_retrieval_provider', key: 'retrievalProvider', type: 'select', pipeline: true, onChangeExtra: 'updateToolTypeVisibility' },
+    { id: 'rag_custom_retrieval_json', key: 'customRetrievalJson', type: 'text', pipeline: true, onChangeExtra: 'validateCustomJson' },
+    { id: 'rag_tool_choice', key: 'toolChoice', type: 'select', pipeline: true },
+    { id: 'rag_max_results', key: 'maxResults', type: 'number', default: 10, pipeline: true },
+    { id: 'rag_max_tool_rounds', key: 'maxToolRounds', type: 'number', default: 3, pipeline: true },
+    { id: 'rag_retrieval_backend', key: 'retrievalBackend', type: 'select', pipeline: true, onChangeExtra: 'updateBackendVisibility' },
+    { id: 'rag_retrieval_endpoint_url', key: 'retrievalEndpointUrl', type: 'text', pipeline: true },
+    { id: 'rag_http_method', key: 'httpMethod', type: 'select', pipeline: true },
+    { id: 'rag_http_headers', key: 'httpHeaders', type: 'text', pipeline: true },
+    { id: 'rag_http_body_template', key: 'httpBodyTemplate', type: 'text', pipeline: true },
+    { id: 'rag_http_results_path', key: 'httpResultsPath', type: 'text', pipeline: true },
+    { id: 'rag_http_text_path', key: 'httpTextPath', type: 'text', pipeline: true },
+    { id: 'rag_http_score_path', key: 'httpScorePath', type: 'text', pipeline: true },
+    { id: 'rag_http_source_path', key: 'httpSourcePath', type: 'text', pipeline: true },
+    { id: 'rag_vector_include_chat', key: 'vectorIncludeChat', type: 'checkbox', pipeline: true },
+    { id: 'rag_vector_include_data_bank', key: 'vectorIncludeDataBank', type: 'checkbox', pipeline: true },
+    { id: 'rag_vector_threshold', key: 'vectorThreshold', type: 'float', default: 0.25, pipeline: true },
+    { id: 'rag_local_index_current_chat', key: 'localIndexCurrentChat', type: 'checkbox', pipeline: true },
+    { id: 'rag_local_index_past_chats', key: 'localIndexPastChats', type: 'checkbox', pipeline: true },
+    { id: 'rag_local_index_world_info', key: 'localIndexWorldInfo', type: 'checkbox', pipeline: true },
+    { id: 'rag_local_index_skip_recent', key: 'localIndexSkipRecent', type: 'number', default: 10, pipeline: true },
+    { id: 'rag_max_tokens', key: 'maxTokens', type: 'number', default: 1000, pipeline: true },
+    { id: 'rag_system_prompt', key: 'ragSystemPrompt', type: 'text', pipeline: true },
+    { id: 'rag_user_prompt_template', key: 'ragUserPromptTemplate', type: 'text', pipeline: true },
+    { id: 'rag_injection_template', key: 'injectionTemplate', type: 'text', pipeline: true },
+    { id: 'rag_injection_role', key: 'injectionRole', type: 'select', pipeline: true },
+    { id: 'rag_injection_position', key: 'injectionPosition', type: 'select', pipeline: true, onChangeExtra: 'updateInjectionPositionVisibility' },
+    { id: 'rag_injection_depth', key: 'injectionDepth', type: 'number', default: -1, pipeline: true },
+    { id: 'rag_injection_merge', key: 'injectionMerge', type: 'checkbox', pipeline: true },
+    { id: 'rag_injection_anchor_side', key: 'injectionAnchorSide', type: 'select', pipeline: true },
+    { id: 'rag_injection_identifier', key: 'injectionIdentifier', type: 'text', pipeline: true },
+    { id: 'rag_injection_split', key: 'injectionSplit', type: 'select', pipeline: true, onChangeExtra: 'updateInjectionSplitVisibility' },
+    { id: 'rag_injection_sections', key: 'injectionSections', type: 'text', pipeline: true, onChangeExtra: 'validateInjectionSections' },
+    { id: 'rag_enable_main_model_tools', key: 'enableMainModelTools', type: 'checkbox', pipeline: true },
+    { id: 'rag_main_model_tool_choice', key: 'mainModelToolChoice', type: 'select', pipeline: true },
+    { id: 'rag_history_message_format', key: 'historyMessageFormat', type: 'text', pipeline: true },
+    { id: 'rag_history_skip_hidden', key: 'historySkipHidden', type: 'checkbox', pipeline: true },
+    { id: 'rag_history_skip_system', key: 'historySkipSystem', type: 'checkbox', pipeline: true },
+    { id: 'rag_query_expansion', key: 'queryExpansion', type: 'checkbox', pipeline: true },
+    { id: 'rag_expansion_count', key: 'expansionCount', type: 'number', default: 3, pipeline: true },
+    { id: 'rag_expansion_prompt', key: 'expansionPrompt', type: 'text', pipeline: true },
+    { id: 'rag_request_timeout_seconds', key: 'requestTimeoutSeconds', type: 'number', default: 60, pipeline: true },
+    { id: 'rag_retry_count', key: 'retryCount', type: 'number', default: 1, pipeline: true },
+    { id: 'rag_retry_delay_ms', key: 'retryDelayMs', type: 'number', default: 1000, pipeline: true },
+    { id: 'rag_fallback_profiles', key: 'fallbackProfiles', type: 'text', pipeline: true },
+    { id: 'rag_fallback_to_direct', key: 'fallbackToDirect', type: 'checkbox', pipeline: true },
+    { id: 'rag_notify_on_failure', key: 'notifyOnFailure', type: 'checkbox' },
+    { id: 'rag_relevance_json', key: 'relevanceJson', type: 'checkbox', pipeline: true },
+    { id: 'rag_min_relevance', key: 'minRelevance', type: 'float', default: 0, pipeline: true },
+    { id: 'rag_empty_response_pattern', key: 'emptyResponsePattern', type: 'text', pipeline: true },
+    { id: 'rag_min_passage_score', key: 'minPassageScore', type: 'float', default: 0, pipeline: true },
+    { id: 'rag_no_result_template', key: 'noResultTemplate', type: 'text', pipeline: true },
+    { id: 'rag_structured_output', key: 'structuredOutput', type: 'checkbox', pipeline: true },
+    { id: 'rag_structured_use_schema', key: 'structuredUseSchema', type: 'checkbox', pipeline: true },
+    { id: 'rag_structured_schema', key: 'structuredSchema', type: 'text', pipeline: true, onChangeExtra: 'validateStructuredSchema' },
+    { id: 'rag_structured_item_template', key: 'structuredItemTemplate', type: 'text', pipeline: true },
+    { id: 'rag_structured_min_confidence', key: 'structuredMinConfidence', type: 'float', default: 0, pipeline: true },
+    { id: 'rag_structured_sort', key: 'structuredSort', type: 'select', pipeline: true },
+    { id: 'rag_structured_dedupe', key: 'structuredDedupe', type: 'checkbox', pipeline: true },
+    { id: 'rag_token_budget', key: 'tokenBudget', type: 'number', default: 0, pipeline: true },
+    { id: 'rag_token_budget_percent', key: 'tokenBudgetPercent', type: 'float', default: 0, pipeline: true },
+    { id: 'rag_budget_strategy', key: 'budgetStrategy', type: 'select', pipeline: true, onChangeExtra: 'updateBudgetStrategyVisibility' },
+    { id: 'rag_condense_prompt', key: 'condensePrompt', type: 'text', pipeline: true },
+    { id: 'rag_warn_on_context_overflow', key: 'warnOnContextOverflow', type: 'checkbox' },
+    { id: 'rag_trigger_on_normal', key: 'triggerOnNormal', type: 'checkbox', pipeline: true },
+    { id: 'rag_trigger_on_regenerate', key: 'triggerOnRegenerate', type: 'checkbox', pipeline: true },
+    { id: 'rag_trigger_on_swipe', key: 'triggerOnSwipe', type: 'checkbox', pipeline: true },
+    { id: 'rag_trigger_on_continue', key: 'triggerOnContinue', type: 'checkbox', pipeline: true },
+    { id: 'rag_trigger_on_impersonate', key: 'triggerOnImpersonate', type: 'checkbox', pipeline: true },
+    { id: 'rag_trigger_on_quiet', key: 'triggerOnQuiet', type: 'checkbox', pipeline: true },
+    { id: 'rag_trigger_every_nth', key: 'triggerEveryNth', type: 'number', default: 1, pipeline: true },
+    { id: 'rag_trigger_keywords', key: 'triggerKeywords', type: 'text', pipeline: true },
+    { id: 'rag_trigger_characters', key: 'triggerCharacters', type: 'text', pipeline: true },
+    { id: 'rag_cache_enabled', key: 'cacheEnabled', type: 'checkbox' },
+    { id: 'rag_cache_ttl_minutes', key: 'cacheTtlMinutes', type: 'number', default: 30 },
+    { id: 'rag_cache_max_entries', key: 'cacheMaxEntries', type: 'number', default: 50 },
+    { id: 'rag_cache_persist', key: 'cachePersist', type: 'checkbox' },
+    { id: 'rag_cache_bypass', key: 'cacheBypass', type: 'checkbox' },
+    { id: 'rag_reuse_context_on_swipe', key: 'reuseContextOnSwipe', type: 'checkbox' },
+    { id: 'rag_show_sources_in_message', key: 'showSourcesInMessage', type: 'checkbox', onChangeExtra: 'updateRagMessageButtons' },
+    { id: 'rag_group_per_speaker', key: 'groupPerSpeaker', type: 'checkbox' },
+    { id: 'rag_group_round_cache', key: 'groupRoundCache', type: 'checkbox' },
+    { id: 'rag_confirm_before_injecting', key: 'confirmBeforeInjecting', type: 'checkbox' },
     { id: 'rag_system_prompt_addition', key: 'systemPromptAddition', type: 'text' },
     { id: 'rag_reprocess_world_info', key: 'reprocessWorldInfo', type: 'checkbox' },
+    { id: 'rag_ingest_enabled', key: 'ingestEnabled', type: 'checkbox' },
+    { id: 'rag_ingest_sink', key: 'ingestSink', type: 'select', onChangeExtra: 'updateIngestSinkVisibility' },
+    { id: 'rag_ingest_window_size', key: 'ingestWindowSize', type: 'number', default: 4 },
+    { id: 'rag_ingest_window_overlap', key: 'ingestWindowOverlap', type: 'number', default: 1 },
+    { id: 'rag_ingest_skip_recent', key: 'ingestSkipRecent', type: 'number', default: 2 },
+    { id: 'rag_ingest_endpoint_url', key: 'ingestEndpointUrl', type: 'text', onChangeExtra: 'updateIngestStatus' },
+    { id: 'rag_ingest_http_headers', key: 'ingestHttpHeaders', type: 'text' },
+    { id: 'rag_ingest_export_format', key: 'ingestExportFormat', type: 'select' },
+    { id: 'rag_summary_enabled', key: 'summaryEnabled', type: 'checkbox' },
+    { id: 'rag_summary_every', key: 'summaryEvery', type: 'number', default: 10 },
+    { id: 'rag_summary_max_tokens', key: 'summaryMaxTokens', type: 'number', default: 600 },
+    { id: 'rag_summary_skip_recent', key: 'summarySkipRecent', type: 'number', default: 2 },
+    { id: 'rag_summary_prompt', key: 'summaryPrompt', type: 'text' },
+    { id: 'rag_trace_enabled', key: 'traceEnabled', type: 'checkbox' },
+    { id: 'rag_trace_limit', key: 'traceLimit', type: 'number', default: 50 },
     { id: 'rag_debug_mode', key: 'debugMode', type: 'checkbox' },
 ];
 
@@ -163,6 +458,165 @@ function getSettings() {
     return extension_settings[EXTENSION_NAME] ?? DEFAULT_SETTINGS;
 }
 
+/**
+ * Get the pipeline currently selected in the settings UI
+ * @returns {typeof DEFAULT_PIPELINE}
+ */
+function getSelectedPipeline() {
+    const settings = getSettings();
+    return settings.pipelines.find(p => p.id === settings.selectedPipelineId) ?? settings.pipelines[0];
+}
+
+// Field name of the overrides in character card extension data and chat metadata
+// Stored as { [pipelineId]: { [key]: value } }
+const OVERRIDES_FIELD = "rag_context_injector";
+
+// Pipeline keys that can be overridden per character or per chat
+const OVERRIDE_FIELDS = [
+    { key: "enabled", label: "Pipeline Enabled", type: "boolean" },
+    { key: "datastoreId", label: "Datastore ID", type: "text" },
+    { key: "ragSystemPrompt", label: "RAG System Prompt", type: "textarea" },
+    { key: "ragUserPromptTemplate", label: "RAG Query Template", type: "textarea" },
+    { key: "directQueryTemplate", label: "Search Query Template", type: "text" },
+    { key: "injectionTemplate", label: "Context Injection Template", type: "textarea" },
+    { key: "injectionRole", label: "Injection Role", type: "select", options: ["system", "assistant", "user"] },
+    { key: "injectionPosition", label: "Injection Position", type: "select", options: ["start", "depth", "lastUser", "identifier"] },
+    { key: "injectionDepth", label: "Injection Depth", type: "number" },
+    { key: "injectionIdentifier", label: "Anchor Identifier", type: "text" },
+    { key: "injectionSections", label: "Injection Sections", type: "textarea" },
+];
+
+/**
+ * Get the group member about to speak, if retrieval is scoped per speaker
+ * @returns {{ id: number, name: string }|null}
+ */
+function getActiveSpeaker() {
+    const context = getContext();
+    if (!context.groupId || !getSettings().groupPerSpeaker) return null;
+
+    const id = currentGeneration?.speakerId;
+    const character = id !== null && id !== undefined ? context.characters?.[id] : null;
+    return character ? { id: Number(id), name: character.name } : null;
+}
+
+/**
+ * Get the overrides stored on a character card
+ * @param {number|string} [characterId] - Character index, defaults to the current character
+ * @returns {Object<string, object>} - Overrides keyed by pipeline ID
+ */
+function getCharacterOverrides(characterId = getContext().characterId) {
+    const character = getContext().characters?.[characterId];
+    return character?.data?.extensions?.[OVERRIDES_FIELD] ?? {};
+}
+
+/**
+ * Get the overrides stored in the current chat's metadata
+ * @returns {Object<string, object>} - Overrides keyed by pipeline ID
+ */
+function getChatOverrides() {
+    return getContext().chatMetadata?.[OVERRIDES_FIELD] ?? {};
+}
+
+/**
+ * Keep only known, set override keys
+ * @param {object} [overrides] - Stored overrides of one pipeline
+ * @returns {object}
+ */
+function pickOverrides(overrides) {
+    const picked = {};
+    if (!overrides) return picked;
+
+    for (const { key } of OVERRIDE_FIELDS) {
+        if (overrides[key] !== undefined && overrides[key] !== null && overrides[key] !== "") {
+            picked[key] = overrides[key];
+        }
+    }
+    return picked;
+}
+
+/**
+ * Merge a pipeline over the global settings, then the current character's (in groups,
+ * the active speaker's) and chat's overrides over the pipeline
+ * The pipeline only runs if both the extension and the (overridden) pipeline are enabled
+ * @param {typeof DEFAULT_SETTINGS} settings - Global settings
+ * @param {typeof DEFAULT_PIPELINE} pipeline - Pipeline settings
+ * @returns {typeof DEFAULT_SETTINGS & typeof DEFAULT_PIPELINE}
+ */
+function resolvePipelineSettings(settings, pipeline) {
+    const characterOverrides = getCharacterOverrides(getActiveSpeaker()?.id ?? getContext().characterId)[pipeline.id];
+    const chatOverrides = getChatOverrides()[pipeline.id];
+    const resolved = {
+        ...settings,
+        ...pipeline,
+        ...pickOverrides(characterOverrides),
+        ...pickOverrides(chatOverrides),
+    };
+    resolved.enabled = settings.enabled && resolved.enabled;
+    return resolved;
+}
+
+/**
+ * Migrate pre-pipeline settings: the old flat keys become the first pipeline,
+ * keys moved into pipelines later are copied into each one,
+ * and every pipeline is filled up with any newly added defaults
+ * @param {object} settings - Stored extension settings (mutated)
+ */
+function migratePipelines(settings) {
+    // Top-level values of pipeline keys: everything from before pipelines, or the
+    // backend settings from when they were shared by all pipelines
+    const legacy = {};
+    for (const key of Object.keys(DEFAULT_PIPELINE)) {
+        if (key in settings && key !== "enabled") legacy[key] = settings[key];
+    }
+
+    // The upsert endpoint used to share the HTTP backend's headers
+    if ("httpHeaders" in settings && !settings.ingestHttpHeaders) {
+        settings.ingestHttpHeaders = settings.httpHeaders;
+    }
+
+    if (!Array.isArray(settings.pipelines) || settings.pipelines.length === 0) {
+        settings.pipelines = [{ ...legacy, id: uuidv4(), name: "Default", enabled: true }];
+    }
+
+    // Pipeline keys no longer live at the top level
+    for (const key of Object.keys(DEFAULT_PIPELINE)) {
+        if (key !== "enabled") delete settings[key];
+    }
+
+    settings.pipelines = settings.pipelines.map(p => ({ ...DEFAULT_PIPELINE, ...legacy, ...p, id: p.id || uuidv4() }));
+
+    if (!settings.pipelines.some(p => p.id === settings.selectedPipelineId)) {
+        settings.selectedPipelineId = settings.pipelines[0].id;
+    }
+}
+
+/**
+ * Replace the old profile filter (only run RAG with one connection profile) with a selected
+ * preset of the current settings, bound to that profile and only run with it
+ * @param {object} settings - Extension settings (mutated)
+ */
+function migrateProfileFilter(settings) {
+    if (!("filterProfileId" in settings) && !("filterByProfile" in settings)) return;
+
+    if (settings.filterByProfile && settings.filterProfileId) {
+        const profileName = getProfileName(settings.filterProfileId) || "Filter Profile";
+        const preset = {
+            id: uuidv4(),
+            name: `RAG for ${profileName}`,
+            profileId: settings.filterProfileId,
+            profileOnly: true,
+            settings: getPresetSnapshot(settings),
+        };
+        settings.presets.push(preset);
+        settings.selectedPresetId = preset.id;
+        toastr.info(`The profile filter is now the preset "RAG for ${profileName}", which only runs RAG with that profile.`, "RAG Context Injector");
+    }
+
+    delete settings.filterByProfile;
+    delete settings.filterProfileId;
+    saveSettingsDebounced();
+}
+
 /**
  * Debug log helper
  * @param  {...any} args
@@ -173,12 +627,249 @@ function debugLog(...args) {
     }
 }
 
+const traceStore = localforage.createInstance({
+    name: "SillyTavern_RagContextInjector",
+    storeName: "trace_log",
+});
+
+const TRACE_STORE_KEY = "traces";
+
+// Trace log entries, oldest first
+let traces = [];
+
+let tracesLoading = null;
+
+/**
+ * Create the trace of a run, for what the run record itself doesn't keep
+ * @returns {object}
+ */
+function createTrace() {
+    return {
+        startedAt: performance.now(),
+        prompts: null,          // Rendered { system, user } prompts of the RAG request
+        tool: null,             // Tool definition sent to the RAG model
+        rawResponse: null,      // Last raw response of the RAG model
+        usage: null,            // { prompt, completion, requests } summed over the RAG model's requests
+        placements: [],         // { section, index, merged } where each part of the injection landed
+        log: [],                // { ms, message } since the run started
+    };
+}
+
 /**
- * Build the function tool definition
+ * Add a line to a run's trace, and to the console in debug mode
+ * @param {object} run - Run record
+ * @param {...any} args - Message parts; objects are stored as JSON
+ */
+function traceLog(run, ...args) {
+    debugLog(`[${run.pipelineName}]`, ...args);
+    if (!run.trace) return;
+
+    const message = args.map(arg => typeof arg === "string" ? arg : JSON.stringify(arg)).join(" ");
+    run.trace.log.push({ ms: Math.round(performance.now() - run.trace.startedAt), message });
+}
+
+/**
+ * Add the token usage of a raw response to a run's trace
+ * @param {object} run - Run record
+ * @param {any} result - Raw response (extractData: false)
+ */
+function addTraceUsage(run, result) {
+    const usage = result?.usage ?? result?.usageMetadata ?? result?.responseContent?.usageMetadata;
+    if (!usage || !run.trace) return;
+
+    const total = run.trace.usage ??= { prompt: 0, completion: 0, requests: 0 };
+    total.prompt += Number(usage.prompt_tokens ?? usage.input_tokens ?? usage.promptTokenCount) || 0;
+    total.completion += Number(usage.completion_tokens ?? usage.output_tokens ?? usage.candidatesTokenCount) || 0;
+    total.requests++;
+}
+
+/**
+ * Build a trace log entry
+ * @param {object} settings - Pipeline settings
+ * @param {string} trigger - Generation type, or what started the run
+ * @param {{ shouldRun: boolean, reason?: string }} decision - shouldRunRag decision
+ * @param {object|null} [run] - Run record, if the pipeline ran
+ * @param {any} [error] - Error, if the pipeline failed
  * @returns {object}
  */
-function buildFunctionTool() {
+function buildTraceEntry(settings, trigger, decision, run = null, error = null) {
+    const { trace, passages, ...record } = run || {};
+    const { startedAt, ...details } = trace || {};
+    const entry = {
+        id: uuidv4(),
+        timestamp: new Date().toISOString(),
+        chatId: getContext().getCurrentChatId(),
+        pipelineId: settings.id,
+        pipelineName: settings.name,
+        ...record,
+        ...details,
+        trigger: trigger,
+        decision: { shouldRun: decision.shouldRun, reason: decision.reason || "" },
+    };
+    if (error) {
+        entry.errors = [...(entry.errors || []), error.message || String(error)];
+    }
+    return entry;
+}
+
+/**
+ * Add an entry to the trace log, dropping the oldest entries over the limit
+ * @param {object} entry - Trace log entry (see buildTraceEntry)
+ */
+function recordTrace(entry) {
     const settings = getSettings();
+    if (!settings.traceEnabled) return;
+
+    traces.push(entry);
+    traces.splice(0, Math.max(0, traces.length - Math.max(1, settings.traceLimit)));
+    saveTracesDebounced();
+    renderTraceLog();
+}
+
+/**
+ * Load the persisted trace log (once), keeping entries recorded meanwhile
+ */
+async function loadTraces() {
+    tracesLoading ??= traceStore.getItem(TRACE_STORE_KEY).then(stored => {
+        if (Array.isArray(stored)) traces = [...stored, ...traces];
+        renderTraceLog();
+    }).catch(error => console.error(DEBUG_PREFIX, "Failed to load trace log:", error));
+
+    await tracesLoading;
+}
+
+const saveTracesDebounced = debounce(() => {
+    traceStore.setItem(TRACE_STORE_KEY, traces)
+        .catch(error => console.error(DEBUG_PREFIX, "Failed to save trace log:", error));
+}, 2000);
+
+/**
+ * Clear the trace log
+ */
+async function clearTraces() {
+    traces = [];
+    renderTraceLog();
+    try {
+        await traceStore.removeItem(TRACE_STORE_KEY);
+        toastr.success("RAG trace log cleared.", "RAG Context Injector");
+    } catch (error) {
+        console.error(DEBUG_PREFIX, "Failed to clear the saved trace log:", error);
+        toastr.error(`Could not clear the saved trace log: ${error.message}`, "RAG Context Injector");
+    }
+}
+
+/**
+ * Get a trace log entry's status
+ * @param {object} entry - Trace log entry
+ * @returns {"skipped"|"error"|"injected"|"empty"}
+ */
+function getTraceStatus(entry) {
+    if (!entry.decision.shouldRun) return "skipped";
+    if (entry.errors?.length && !entry.injection) return "error";
+    return entry.injection ? "injected" : "empty";
+}
+
+/**
+ * Get the trace log entries matching the filters in the trace log drawer
+ * @returns {Array<object>} - Newest first
+ */
+function getFilteredTraces() {
+    const needle = String($("#rag_trace_filter").val() || "").trim().toLowerCase();
+    const status = String($("#rag_trace_status_filter").val() || "");
+
+    return traces.filter(entry => {
+        if (status && getTraceStatus(entry) !== status) return false;
+        if (!needle) return true;
+        return [entry.pipelineName, entry.trigger, entry.speaker, entry.decision.reason, entry.query, entry.response, entry.injection, ...(entry.errors || [])]
+            .some(text => String(text || "").toLowerCase().includes(needle));
+    }).reverse();
+}
+
+/**
+ * Render the trace log drawer; entry details are rendered when expanded
+ */
+function renderTraceLog() {
+    const entries = getFilteredTraces();
+    $("#rag_trace_count").text(`${entries.length} of ${traces.length} run(s)`);
+
+    const html = entries.map(entry => {
+        const status = getTraceStatus(entry);
+        const label = {
+            skipped: `skipped: ${entry.decision.reason}`,
+            error: "failed",
+            injected: `injected at ${(entry.placements || []).map(p => `${p.index}${p.merged ? " (merged)" : ""}`).join(", ") || "?"}`,
+            empty: "nothing injected",
+        }[status];
+        const usage = entry.usage ? `, ${entry.usage.prompt + entry.usage.completion} tokens` : "";
+        const latency = entry.decision.shouldRun ? `, ${entry.latencyMs ?? 0} ms` : "";
+
+        return `
+            <details class="rag-run rag-trace-${status}" data-trace-id="${escapeHtml(entry.id)}">
+                <summary>${escapeHtml(new Date(entry.timestamp).toLocaleString())} &mdash; ${escapeHtml(entry.pipelineName || "Pipeline")} &mdash; ${escapeHtml(entry.trigger)} &mdash; ${escapeHtml(label)}${latency}${usage}</summary>
+            </details>`;
+    }).join("");
+
+    $("#rag_trace_list").html(html || "<small>No runs recorded.</small>");
+}
+
+/**
+ * Render the details of a trace log entry
+ * @param {object} entry - Trace log entry
+ * @returns {string} - HTML
+ */
+function renderTraceDetailsHtml(entry) {
+    const block = (label, text) => text
+        ? `<div class="rag-run-field"><b>${label}</b><pre>${escapeHtml(text)}</pre></div>`
+        : "";
+    const json = (value) => value ? JSON.stringify(value, null, 2) : "";
+    const toolCalls = (entry.toolCalls || [])
+        .map((call, i) => block(`Tool call ${i + 1}: ${call.name}`, `${JSON.stringify(call.arguments)}\n\n${call.result}`))
+        .join("");
+    const flags = ["cached", "reused", "edited", "dropped"].filter(flag => entry[flag]).join(", ");
+
+    return `
+        <div class="rag-run-meta">
+            ${entry.mode ? `<span>Mode: ${escapeHtml(entry.mode)}</span>` : ""}
+            ${entry.profileId ? `<span>Profile: ${escapeHtml(entry.profileName || entry.profileId)}</span>` : ""}
+            ${entry.speaker ? `<span>Speaker: ${escapeHtml(entry.speaker)}</span>` : ""}
+            ${entry.degraded ? `<span>Via: ${escapeHtml(entry.degraded)}</span>` : ""}
+            ${entry.gated ? `<span>Nothing found: ${escapeHtml(entry.gated)}</span>` : ""}
+            ${flags ? `<span>${escapeHtml(flags)}</span>` : ""}
+            <span>Chat: ${escapeHtml(entry.chatId || "none")}</span>
+        </div>
+        ${block("Decision", `${entry.decision.shouldRun ? "Run" : "Skip"}${entry.decision.reason ? `: ${entry.decision.reason}` : ""}`)}
+        ${block("System prompt", entry.prompts?.system)}
+        ${block("Query", entry.prompts?.user || entry.query)}
+        ${block("Expanded queries", (entry.expandedQueries || []).join("\n"))}
+        ${block("Tool", json(entry.tool))}
+        ${toolCalls}
+        ${block("Raw response", json(entry.rawResponse))}
+        ${block("Response", entry.response)}
+        ${block("Usage", entry.usage ? `${entry.usage.prompt} prompt + ${entry.usage.completion} completion tokens over ${entry.usage.requests} request(s)` : "")}
+        ${block("Injected", entry.injection)}
+        ${block("Placement", (entry.placements || []).map(p => `${p.section || "(unsectioned)"}: index ${p.index}${p.merged ? " (merged)" : ""}`).join("\n"))}
+        ${block("Errors", (entry.errors || []).join("\n"))}
+        ${block("Log", (entry.log || []).map(line => `+${line.ms} ms  ${line.message}`).join("\n"))}`;
+}
+
+/**
+ * Download the trace log entries matching the current filters as JSON
+ */
+function exportTraces() {
+    const entries = getFilteredTraces();
+    if (entries.length === 0) {
+        toastr.info("No runs to export.", "RAG Context Injector");
+        return;
+    }
+    download(JSON.stringify(entries, null, 4), "rag-trace-log.json", "application/json");
+}
+
+/**
+ * Build the function tool definition
+ * @param {object} settings - Pipeline settings
+ * @returns {object}
+ */
+function buildFunctionTool(settings) {
 
     return {
         type: "function",
@@ -205,10 +896,10 @@ function buildFunctionTool() {
 
 /**
  * Build a native retrieval tool using the selected provider
+ * @param {object} settings - Pipeline settings
  * @returns {object|null}
  */
-function buildRetrievalTool() {
-    const settings = getSettings();
+function buildRetrievalTool(settings) {
     const provider = RETRIEVAL_PROVIDERS[settings.retrievalProvider];
 
     if (!provider) {
@@ -219,649 +910,4878 @@ function buildRetrievalTool() {
     return provider.buildTool(settings);
 }
 
-// Track if we're currently processing a RAG request to avoid infinite loops
-let isProcessingRag = false;
-
 /**
- * Get the last user message from chat messages
- * @param {Array} messages - Chat messages array
- * @returns {string}
+ * Normalize a raw search hit into a passage object
+ * @param {any} hit - Result item from the retrieval endpoint
+ * @returns {{ text: string, score: number|null, source: string }}
  */
-function getLastUserMessage(messages) {
-    for (let i = messages.length - 1; i >= 0; i--) {
-        if (messages[i].role === ROLES.USER) {
-            return messages[i].content || "";
-        }
+function normalizePassage(hit) {
+    if (typeof hit === "string") {
+        return { text: hit, score: null, source: "" };
     }
-    return "";
+
+    return {
+        text: String(hit?.text ?? hit?.content ?? hit?.passage ?? ""),
+        score: typeof hit?.score === "number" ? hit.score : null,
+        source: String(hit?.source ?? hit?.uri ?? hit?.title ?? ""),
+    };
 }
 
 /**
- * Get the last N messages from chat (excluding system messages)
- * @param {Array} messages - Chat messages array
- * @param {number} n - Number of messages to retrieve
- * @returns {string} - Formatted messages
+ * Read a value from an object using a JSONPath-style path
+ * Supports $.a.b, a[0].b and [*] (maps over arrays), e.g. "$.hits.hits[*]._source"
+ * @param {any} obj - Object to read from
+ * @param {string} path - Path expression
+ * @returns {any}
  */
-function getLastNMessages(messages, n) {
-    const chatMessages = messages.filter(m => m.role !== ROLES.SYSTEM);
-    const lastN = chatMessages.slice(-n);
-    return formatMessagesForContext(lastN);
+function getByPath(obj, path) {
+    const tokens = String(path || "")
+        .replace(/^\$\.?/, "")
+        .replace(/\[(\*|\d+)\]/g, ".$1")
+        .split(".")
+        .filter(Boolean);
+
+    const walk = (value, i) => {
+        if (i >= tokens.length || value === undefined || value === null) return value;
+        const token = tokens[i];
+        if (token === "*") {
+            return Array.isArray(value) ? value.map(v => walk(v, i + 1)) : undefined;
+        }
+        return walk(value[token], i + 1);
+    };
+
+    return walk(obj, 0);
 }
 
 /**
- * Get recent chat history (last 10 messages by default)
- * @param {Array} messages - Chat messages array
- * @param {number} count - Number of messages
- * @returns {string}
+ * Map a raw HTTP result item to a passage using the configured paths
+ * @param {any} hit - Result item
+ * @param {object} settings - Extension settings
+ * @returns {{ text: string, score: number|null, source: string }}
  */
-function getRecentHistory(messages, count = 10) {
-    return getLastNMessages(messages, count);
+function mapHttpPassage(hit, settings) {
+    const fallback = normalizePassage(hit);
+    const pick = (path) => (path && typeof hit === "object") ? getByPath(hit, path) : undefined;
+
+    const text = pick(settings.httpTextPath);
+    const score = Number(pick(settings.httpScorePath));
+    const source = pick(settings.httpSourcePath);
+
+    return {
+        text: text !== undefined && text !== null ? String(text) : fallback.text,
+        score: Number.isFinite(score) ? score : fallback.score,
+        source: source !== undefined && source !== null ? String(source) : fallback.source,
+    };
 }
 
 /**
- * Format messages array into readable context string
- * @param {Array} messages - Messages to format
- * @returns {string}
+ * Get the request headers for an HTTP endpoint, with the configured extra headers
+ * @param {string} json - JSON object of extra headers
+ * @returns {Record<string, string>}
  */
-function formatMessagesForContext(messages) {
-    return messages.map(m => {
-        const role = m.role === ROLES.USER ? "User" : "Assistant";
-        const content = typeof m.content === "string" ? m.content : JSON.stringify(m.content);
-        return `${role}: ${content}`;
-    }).join("\n\n");
+function getHttpHeaders(json) {
+    let extraHeaders = {};
+    if (json && json.trim()) {
+        try {
+            extraHeaders = JSON.parse(json);
+        } catch (e) {
+            throw new Error(`Invalid HTTP headers JSON: ${e.message}`);
+        }
+    }
+
+    return { "Content-Type": "application/json", ...extraHeaders };
 }
 
 /**
- * Convert SillyTavern chat messages to OpenAI format
- * @param {Array} chatMessages - SillyTavern chat array
- * @returns {Array} - OpenAI format messages {role, content}
+ * Query a generic HTTP/JSON search service
+ * The body template receives {{query}} and {{max_results}} as JSON literals
+ * @param {object} settings - Extension settings
+ * @param {{ query: string, max_results: number }} args - Search arguments
+ * @param {AbortSignal} [signal] - Aborts the request
+ * @returns {Promise<Array<{ text: string, score: number|null, source: string }>>}
  */
-function convertSillyTavernToOpenAI(chatMessages) {
-    if (!Array.isArray(chatMessages)) return [];
+async function searchHttpBackend(settings, args, signal) {
+    const url = settings.retrievalEndpointUrl
+        .replace(/{{query}}/g, encodeURIComponent(args.query))
+        .replace(/{{max_results}}/g, String(args.max_results));
+
+    const method = settings.httpMethod || "POST";
+    const init = {
+        method: method,
+        headers: getHttpHeaders(settings.httpHeaders),
+        signal: signal,
+    };
 
-    return chatMessages.map(msg => {
-        let role = ROLES.ASSISTANT;
-        if (msg.is_user) {
-            role = ROLES.USER;
-        } else if (msg.is_system) {
-            role = ROLES.SYSTEM;
-        }
+    if (method !== "GET") {
+        init.body = (settings.httpBodyTemplate || "")
+            .replace(/{{query}}/g, () => JSON.stringify(args.query))
+            .replace(/{{max_results}}/g, String(args.max_results));
+    }
 
-        const converted = {
-            role: role,
-            content: msg.mes || ""
-        };
+    const response = await fetch(url, init);
 
-        if (msg.name) {
-            converted.name = msg.name;
-        }
+    if (!response.ok) {
+        throw Object.assign(new Error(`Retrieval endpoint returned ${response.status} ${response.statusText}`), { status: response.status });
+    }
 
-        if (msg.extra?.thought_signatures) {
-            converted.thought_signatures = msg.extra.thought_signatures;
-        }
+    const json = await response.json();
+    let hits = getByPath(json, settings.httpResultsPath || "$");
+    if (!Array.isArray(hits)) {
+        hits = Array.isArray(json) ? json : [];
+    }
 
-        return converted;
-    });
+    return hits.map(hit => mapHttpPassage(hit, settings)).filter(p => p.text);
 }
 
 /**
- * Replace template variables in a string
- * Supports: {{lastMessage}}, {{lastNMessages:5}}, {{recentHistory}}, {{fullHistory}}, {{characterName}}, {{userName}}, {{description}}, {{personality}}, {{scenario}}
- * @param {string} template 
- * @param {Array} promptMessages - Prompt messages (unused for history macros now, kept for compatibility)
- * @param {Object} extraReplacements - Additional key-value pairs for replacement (e.g. ragResponse)
- * @returns {string}
+ * Query SillyTavern's Vector Storage collections for the current chat and Data Bank
+ * Uses the embedding source configured in the Vector Storage extension
+ * @param {object} settings - Extension settings
+ * @param {{ query: string, max_results: number }} args - Search arguments
+ * @param {AbortSignal} [signal] - Aborts the request
+ * @returns {Promise<Array<{ text: string, score: number|null, source: string }>>}
  */
-function replaceTemplateVars(template, promptMessages, extraReplacements = {}) {
-    if (!template) return "";
+async function searchVectorStorage(settings, args, signal) {
+    const vectorSettings = extension_settings.vectors;
+    if (!vectorSettings?.source) {
+        throw new Error("Vector Storage is not configured");
+    }
 
+    // Map collection IDs to human-readable source names
+    const collections = {};
     const context = getContext();
+    const chatId = context.getCurrentChatId?.();
 
-    // 1. Handle custom replacements first (ragResponse, worldInfo)
-    let result = template;
-    const customReplacements = {
-        ragResponse: extraReplacements.ragResponse || "",
-        worldInfoBefore: extraReplacements.worldInfoBefore || "",
-        worldInfoAfter: extraReplacements.worldInfoAfter || "",
-        ...extraReplacements
-    };
-
-    for (const [key, value] of Object.entries(customReplacements)) {
-        if (key === 'ragResponse' || key.startsWith('worldInfo')) {
-            result = result.replace(new RegExp(`{{${key}}}`, 'g'), () => value || "");
-        }
+    if (settings.vectorIncludeChat && chatId) {
+        collections[chatId] = `chat:${chatId}`;
     }
 
-    // 2. Use SillyTavern's native macro substitution if available
-    if (context && typeof context.substituteParams === 'function') {
-        // substituteParams handles standard ST macros: {{scenario}}, {{char}}, {{user}}, etc.
-        result = context.substituteParams(result);
+    if (settings.vectorIncludeDataBank) {
+        for (const attachment of getDataBankAttachments()) {
+            collections[`file_${getStringHash(attachment.url)}`] = attachment.name;
+        }
     }
 
-    // 3. Handle extension-specific macros that the native engine doesn't know about
-    //    (fullHistory, recentHistory, lastMessage, lastNMessages, messages slicing)
-    const globalChat = context?.chat || [];
-    const messages = convertSillyTavernToOpenAI(globalChat);
+    const collectionIds = Object.keys(collections);
+    if (collectionIds.length === 0) return [];
+
+    const response = await fetch("/api/vector/query-multi", {
+        method: "POST",
+        headers: getRequestHeaders(),
+        body: JSON.stringify({
+            source: vectorSettings.source,
+            model: vectorSettings[`${vectorSettings.source}_model`],
+            collectionIds: collectionIds,
+            searchText: args.query,
+            topK: args.max_results,
+            threshold: settings.vectorThreshold,
+        }),
+        signal: signal,
+    });
 
-    const extensionVars = {
-        lastMessage: getLastUserMessage(messages),
-        recentHistory: getRecentHistory(messages, 10),
-        fullHistory: formatMessagesForContext(messages.filter(m => m.role !== ROLES.SYSTEM)),
-    };
+    if (!response.ok) {
+        throw Object.assign(new Error(`Vector query failed: ${response.status} ${response.statusText}`), { status: response.status });
+    }
 
-    for (const [key, value] of Object.entries(extensionVars)) {
-        result = result.replace(new RegExp(`{{${key}}}`, 'g'), () => value || "");
+    // Response is {collectionId: {hashes, metadata}}, each already ordered by similarity
+    const json = await response.json();
+    const passages = [];
+    for (const [collectionId, result] of Object.entries(json || {})) {
+        (result?.metadata || []).forEach((item, rank) => {
+            if (!item?.text) return;
+            passages.push({ text: item.text, score: null, source: collections[collectionId] || collectionId, rank });
+        });
     }
 
-    // Handle {{lastNMessages:N}} pattern
-    const lastNPattern = /{{lastNMessages:(\d+)}}/g;
-    result = result.replace(lastNPattern, (match, n) => {
-        return getLastNMessages(messages, parseInt(n, 10));
-    });
+    // Interleave collections by per-collection rank
+    return passages
+        .sort((a, b) => a.rank - b.rank)
+        .slice(0, args.max_results)
+        .map(({ rank, ...passage }) => passage);
+}
 
-    // Handle {{messages:start:end}} pattern (Python-style slicing)
-    const slicePattern = /{{messages:(-?\d+)(?::(-?\d+))?}}/g;
-    result = result.replace(slicePattern, (match, start, end) => {
-        let startIdx = parseInt(start, 10);
-        const endIdx = end ? parseInt(end, 10) : undefined;
-        const chatMessages = messages.filter(m => m.role !== ROLES.SYSTEM);
-        if (startIdx < 0 && Math.abs(startIdx) > chatMessages.length) {
-            startIdx = 0;
-        }
-        const sliced = chatMessages.slice(startIdx, endIdx);
-        return formatMessagesForContext(sliced);
-    });
+// Built-in local index (BM25) over chat history and World Info
+// Documents are keyed "chat:<chatId>:<messageId>" or "wi:<world>:<uid>"
+const BM25 = {
+    K1: 1.2,
+    B: 0.75,
+};
 
-    return result;
-}
+const LOCAL_INDEX_VERSION = 1;
+
+const STOPWORDS = new Set([
+    "a", "an", "and", "are", "as", "at", "be", "but", "by", "for", "from", "had", "has", "have",
+    "he", "her", "his", "i", "if", "in", "into", "is", "it", "its", "me", "my", "no", "not", "of",
+    "on", "or", "our", "she", "so", "than", "that", "the", "their", "them", "then", "there",
+    "these", "they", "this", "to", "was", "we", "were", "what", "when", "which", "who", "will",
+    "with", "you", "your",
+]);
 
+// Persisted in IndexedDB, one entry per character or group
+const localIndexStore = localforage.createInstance({
+    name: "SillyTavern_RagContextInjector",
+    storeName: "local_index",
+});
 
+let localIndex = createEmptyLocalIndex(null);
 
 /**
- * Reconstruct messages if they are missing from the request data
- * This is a fallback for when SillyTavern fails to populate history (e.g. some edge cases)
- * @param {Object} data - The request data
+ * Create an empty in-memory index
+ * @param {string|null} key - Storage key (character or group)
+ * @returns {object}
  */
-function reconstructMessages(data) {
-    // If messages array is missing or empty, initialize it
-    if (!Array.isArray(data.messages)) {
-        data.messages = [];
-    }
+function createEmptyLocalIndex(key) {
+    return {
+        key: key,
+        docs: new Map(),      // docId -> { text, source, length, terms: Map<term, tf> }
+        postings: new Map(),  // term -> Set<docId>
+        totalLength: 0,
+        chats: {},            // past chat id -> change marker, to skip unchanged chats
+        ready: false,
+        loading: null,
+    };
+}
 
-    // Check if we need to reconstruct:
-    // 1. We have global chat history
-    // 2. data.messages seems to lack history (e.g. only system prompts)
+/**
+ * Get the storage key for the active character or group
+ * @returns {string|null}
+ */
+function getLocalIndexKey() {
     const context = getContext();
-    const globalChat = context?.chat || [];
+    if (context.groupId) return `group:${context.groupId}`;
+    const character = context.characters?.[context.characterId];
+    return character ? `char:${character.avatar}` : null;
+}
 
-    if (globalChat.length === 0) return;
+/**
+ * Split text into lowercase index terms
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+    const tokens = String(text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    return tokens.filter(t => t.length > 1 && !STOPWORDS.has(t));
+}
 
-    // Count non-system messages in data.messages
-    const nonSystemCount = data.messages.filter(m => m.role !== ROLES.SYSTEM).length;
+/**
+ * Remove a document from the index
+ * @param {object} index - Local index
+ * @param {string} id - Document ID
+ */
+function removeDocument(index, id) {
+    const doc = index.docs.get(id);
+    if (!doc) return;
+
+    for (const term of doc.terms.keys()) {
+        const postings = index.postings.get(term);
+        postings?.delete(id);
+        if (postings?.size === 0) index.postings.delete(term);
+    }
 
-    // If we have significantly fewer messages than global chat, something is wrong
-    // (Allow some difference for context shifting/token limits, but 0 vs 8 is a bug)
-    if (nonSystemCount === 0 && globalChat.length > 0) {
-        console.log(DEBUG_PREFIX, "Detected missing chat history in request. Reconstructing from global context...");
+    index.totalLength -= doc.length;
+    index.docs.delete(id);
+}
 
-        const convertedHistory = convertSillyTavernToOpenAI(globalChat);
+/**
+ * Remove all documents whose ID matches a predicate
+ * @param {object} index - Local index
+ * @param {(id: string) => boolean} predicate
+ */
+function removeDocuments(index, predicate) {
+    for (const id of [...index.docs.keys()]) {
+        if (predicate(id)) removeDocument(index, id);
+    }
+}
 
-        // Append history to existing messages (which are likely system prompts)
-        // We filter out system messages from history to avoid duplication if they are already in data.messages
-        const historyToAdd = convertedHistory.filter(m => m.role !== ROLES.SYSTEM);
+/**
+ * Add or replace a document in the index
+ * @param {object} index - Local index
+ * @param {string} id - Document ID
+ * @param {string} text - Document text
+ * @param {string} source - Human-readable source label
+ */
+function addDocument(index, id, text, source) {
+    removeDocument(index, id);
 
-        data.messages.push(...historyToAdd);
+    const tokens = tokenize(text);
+    if (tokens.length === 0) return;
+
+    const terms = new Map();
+    for (const token of tokens) {
+        terms.set(token, (terms.get(token) || 0) + 1);
+    }
 
-        console.log(DEBUG_PREFIX, `Reconstructed ${historyToAdd.length} messages.`);
+    index.docs.set(id, { text, source, length: tokens.length, terms });
+    index.totalLength += tokens.length;
+
+    for (const term of terms.keys()) {
+        if (!index.postings.has(term)) index.postings.set(term, new Set());
+        index.postings.get(term).add(id);
     }
 }
 
 /**
- * Inject RAG context into messages array based on settings
- * @param {Array} messages - The messages array to inject into
- * @param {string} content - The content to inject
- * @param {object} settings - The extension settings
+ * Rank documents against a query with BM25
+ * @param {object} index - Local index
+ * @param {string} query - Search query
+ * @param {number} limit - Max results
+ * @param {(id: string) => boolean} include - Document filter
+ * @returns {Array<{ text: string, score: number, source: string }>}
  */
-function injectRagContext(messages, content, settings) {
-    const role = settings.injectionRole;
-    const position = settings.injectionPosition;
-    const depth = settings.injectionDepth;
-    const merge = settings.injectionMerge;
-
-    // Find "start of chat" = index of first non-system message
-    function findStartIndex() {
-        for (let i = 0; i < messages.length; i++) {
-            if (messages[i].role !== ROLES.SYSTEM) {
-                return i;
-            }
+function searchBm25(index, query, limit, include) {
+    const docCount = index.docs.size;
+    if (docCount === 0) return [];
+
+    const avgLength = index.totalLength / docCount;
+    const scores = new Map();
+
+    for (const term of new Set(tokenize(query))) {
+        const postings = index.postings.get(term);
+        if (!postings) continue;
+
+        const idf = Math.log(1 + (docCount - postings.size + 0.5) / (postings.size + 0.5));
+        for (const id of postings) {
+            const doc = index.docs.get(id);
+            const tf = doc.terms.get(term);
+            const norm = tf + BM25.K1 * (1 - BM25.B + BM25.B * doc.length / avgLength);
+            scores.set(id, (scores.get(id) || 0) + idf * (tf * (BM25.K1 + 1)) / norm);
         }
-        return messages.length; // All system or empty
     }
 
-    // Calculate target index from depth (0 = end, -1 = before last, etc.)
-    function depthToIndex(d) {
-        // depth 0 means insert at end (after last message)
-        // depth -1 means insert before last message
-        // depth -N means insert before Nth-to-last message
-        const idx = messages.length + d;
-        return Math.max(0, Math.min(messages.length, idx));
-    }
+    return [...scores.entries()]
+        .filter(([id]) => include(id))
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([id, score]) => {
+            const doc = index.docs.get(id);
+            return { text: doc.text, score: Math.round(score * 1000) / 1000, source: doc.source };
+        });
+}
 
-    // Determine target index
-    let targetIndex;
-    if (position === "start") {
-        targetIndex = findStartIndex();
-    } else {
-        targetIndex = depthToIndex(depth);
+/**
+ * Index a single chat message (hidden/system messages are skipped)
+ * @param {object} index - Local index
+ * @param {string} chatId - Chat file name
+ * @param {number} messageId - Message index in the chat
+ * @param {object} msg - SillyTavern chat message
+ */
+function indexChatMessage(index, chatId, messageId, msg) {
+    const id = `chat:${chatId}:${messageId}`;
+    if (!msg || msg.is_system || !msg.mes) {
+        removeDocument(index, id);
+        return;
     }
 
-    // Check for merge
-    if (merge && targetIndex > 0 && targetIndex <= messages.length) {
-        // Look at message AT the target position (or just before if at end)
-        const checkIndex = targetIndex < messages.length ? targetIndex : targetIndex - 1;
-        const existingMsg = messages[checkIndex];
+    addDocument(index, id, `${msg.name}: ${msg.mes}`, `${chatId} #${messageId}`);
+}
 
-        if (existingMsg && existingMsg.role === role) {
-            existingMsg.content += "\n\n" + content;
-            debugLog(`Merged RAG context into existing ${role} message at index ${checkIndex}`);
-            return;
-        }
-    }
+/**
+ * Re-index every message of the current chat
+ * @param {object} index - Local index
+ */
+function syncCurrentChat(index) {
+    const context = getContext();
+    const chatId = context.getCurrentChatId?.();
+    if (!chatId) return;
 
-    // Insert new message
-    messages.splice(targetIndex, 0, {
-        role: role,
-        content: content,
-    });
-    debugLog(`Inserted RAG context as ${role} at index ${targetIndex}`);
+    const prefix = `chat:${chatId}:`;
+    removeDocuments(index, id => id.startsWith(prefix));
+    (context.chat || []).forEach((msg, i) => indexChatMessage(index, chatId, i, msg));
+    delete index.chats[chatId];
 }
 
 /**
- * Check if RAG processing should run
- * @param {object} settings - Extension settings
- * @param {object} data - Request data
- * @returns {{ shouldRun: boolean, reason?: string }}
+ * Load a stored chat of a character
+ * @param {object} character - Character object
+ * @param {string} chatId - Chat file name without extension
+ * @returns {Promise<Array>} - Chat messages
  */
-function shouldRunRag(settings, data) {
-    if (!settings.enabled) return { shouldRun: false, reason: 'Extension disabled' };
-    if (isProcessingRag) return { shouldRun: false, reason: 'Already processing' };
-    if (!settings.ragProfileId) return { shouldRun: false, reason: 'No RAG profile' };
+async function fetchCharacterChat(character, chatId) {
+    const response = await fetch("/api/chats/get", {
+        method: "POST",
+        headers: getRequestHeaders(),
+        body: JSON.stringify({
+            ch_name: character.name,
+            file_name: chatId,
+            avatar_url: character.avatar,
+        }),
+    });
 
-    if (settings.filterByProfile && settings.filterProfileId) {
-        const context = getContext();
-        const currentProfile = context.extensionSettings?.connectionManager?.selectedProfile;
-        if (currentProfile !== settings.filterProfileId) {
-            return { shouldRun: false, reason: 'Profile filter mismatch' };
-        }
+    if (!response.ok) {
+        throw new Error(`Failed to load chat ${chatId}: ${response.status}`);
     }
 
-    if (settings.useNativeRetrieval) {
-        const provider = settings.retrievalProvider;
-        if (provider !== 'googleSearch' && !settings.datastoreId) {
-            return { shouldRun: false, reason: 'No datastore ID' };
-        }
-        if (provider === 'custom' && !settings.customRetrievalJson) {
-            return { shouldRun: false, reason: 'No custom retrieval JSON' };
+    // First line of a chat file is the metadata header
+    const data = await response.json();
+    return Array.isArray(data) ? data.slice(1) : [];
+}
+
+/**
+ * Index the character's other chats, skipping ones unchanged since the last sync
+ * @param {object} index - Local index
+ */
+async function syncPastChats(index) {
+    const context = getContext();
+    const character = context.characters?.[context.characterId];
+    if (context.groupId || !character) return;
+
+    const currentChatId = context.getCurrentChatId?.();
+    const pastChats = await getPastCharacterChats(context.characterId);
+    const knownChats = new Set([currentChatId]);
+
+    for (const info of pastChats || []) {
+        const chatId = String(info.file_name).replace(/\.jsonl$/, "");
+        knownChats.add(chatId);
+        if (chatId === currentChatId) continue;
+
+        const marker = `${info.file_size}|${info.last_mes}`;
+        if (index.chats[chatId] === marker) continue;
+
+        try {
+            const messages = await fetchCharacterChat(character, chatId);
+            const prefix = `chat:${chatId}:`;
+            removeDocuments(index, id => id.startsWith(prefix));
+            messages.forEach((msg, i) => indexChatMessage(index, chatId, i, msg));
+            index.chats[chatId] = marker;
+        } catch (error) {
+            console.warn(DEBUG_PREFIX, "Could not index past chat:", error.message);
         }
     }
 
-    return { shouldRun: true };
+    // Drop chats that were deleted or renamed
+    removeDocuments(index, id => id.startsWith("chat:") && !knownChats.has(id.slice(5, id.lastIndexOf(":"))));
+    for (const chatId of Object.keys(index.chats)) {
+        if (!knownChats.has(chatId)) delete index.chats[chatId];
+    }
 }
 
 /**
- * Extract World Info strings from context
- * @param {Array} messages - Chat messages
- * @returns {Promise<{ before: string, after: string }>}
+ * Re-index the enabled entries of all active lorebooks
+ * (global, character and chat lorebooks)
+ * @param {object} index - Local index
  */
-async function extractWorldInfo(messages) {
-    let worldInfoBefore = "";
-    let worldInfoAfter = "";
+async function syncWorldInfo(index) {
+    const context = getContext();
+    const worldNames = new Set(selected_world_info || []);
 
-    try {
-        const context = getContext();
-        if (context && context.getWorldInfoPrompt && context.getCharacterCardFields) {
-            // Prepare scan data
-            const globalScanData = context.getCharacterCardFields();
-            const scanData = {
-                ...globalScanData,
-                personaDescription: globalScanData.persona,
-                characterDescription: globalScanData.description,
-                characterPersonality: globalScanData.personality,
-                characterDepthPrompt: globalScanData.charDepthPrompt,
-                trigger: 'normal',
-            };
+    const characterWorld = context.characters?.[context.characterId]?.data?.extensions?.world;
+    if (characterWorld) worldNames.add(characterWorld);
 
-            // Extract content strings for the scan
-            const chatStrings = messages
-                .map(m => {
-                    if (typeof m.content === 'string') return m.content;
-                    if (Array.isArray(m.content)) return m.content.map(c => c.text || '').join('\n');
-                    return '';
-                });
+    const chatWorld = context.chatMetadata?.world_info;
+    if (chatWorld) worldNames.add(chatWorld);
 
-            // Get max context
-            const maxContext = context.chatCompletionSettings?.openai_max_context || 4096;
+    removeDocuments(index, id => id.startsWith("wi:"));
 
-            // Get World Info - use isDryRun=true to avoid emitting events
-            const wiResult = await context.getWorldInfoPrompt(chatStrings, maxContext, true, scanData);
+    for (const name of worldNames) {
+        try {
+            const data = await context.loadWorldInfo(name);
+            for (const entry of Object.values(data?.entries || {})) {
+                if (entry.disable || !entry.content) continue;
+                const title = entry.comment || (entry.key || []).join(", ");
+                addDocument(index, `wi:${name}:${entry.uid}`, `${title}\n${entry.content}`, `${name}: ${title}`);
+            }
+        } catch (error) {
+            console.warn(DEBUG_PREFIX, `Could not index lorebook ${name}:`, error.message);
+        }
+    }
+}
 
-            worldInfoBefore = wiResult.worldInfoBefore || "";
-            worldInfoAfter = wiResult.worldInfoAfter || "";
+/**
+ * Persist the index to IndexedDB
+ * @param {object} index - Local index
+ */
+async function saveLocalIndex(index) {
+    if (!index.key || !index.ready) return;
 
-            debugLog(`Retrieved World Info: Before=${worldInfoBefore.length} chars, After=${worldInfoAfter.length} chars`);
-        } else {
-            console.warn(DEBUG_PREFIX, "Context or getWorldInfoPrompt not available");
-        }
+    try {
+        await localIndexStore.setItem(index.key, {
+            version: LOCAL_INDEX_VERSION,
+            chats: index.chats,
+            docs: [...index.docs.entries()].map(([id, doc]) => [id, doc.text, doc.source]),
+        });
     } catch (error) {
-        console.error(DEBUG_PREFIX, "Error retrieving World Info:", error);
+        console.error(DEBUG_PREFIX, "Failed to save local index:", error);
     }
-
-    return { before: worldInfoBefore, after: worldInfoAfter };
 }
 
+const saveLocalIndexDebounced = debounce(() => saveLocalIndex(localIndex), 2000);
+
 /**
- * Send RAG request and return response
- * @param {object} settings - Extension settings
- * @param {Array} messages - Chat messages
- * @param {object} worldInfo - World Info strings {before, after}
- * @returns {Promise<string>} - RAG response content
+ * Load the stored index and bring it up to date with the current chat,
+ * past chats and lorebooks
+ * The index is shared by all pipelines: past chats and lorebooks are indexed if any pipeline
+ * searches them, and each pipeline filters the results by its own settings
+ * @param {object} index - Local index
  */
-async function sendRagRequest(settings, messages, worldInfo) {
-    // Build the RAG query
-    const userPrompt = replaceTemplateVars(settings.ragUserPromptTemplate, messages, {
-        worldInfoBefore: worldInfo.before,
-        worldInfoAfter: worldInfo.after
-    });
+async function loadLocalIndex(index) {
+    const pipelines = getSettings().pipelines;
+    try {
+        const stored = await localIndexStore.getItem(index.key);
+        if (stored?.version === LOCAL_INDEX_VERSION) {
+            index.chats = stored.chats || {};
+            for (const [id, text, source] of stored.docs || []) {
+                addDocument(index, id, text, source);
+            }
+        }
+    } catch (error) {
+        console.error(DEBUG_PREFIX, "Failed to load local index:", error);
+    }
 
-    // Build messages for RAG request
-    const systemPrompt = replaceTemplateVars(settings.ragSystemPrompt, messages, {
-        worldInfoBefore: worldInfo.before,
-        worldInfoAfter: worldInfo.after
-    });
+    syncCurrentChat(index);
+    if (pipelines.some(p => p.localIndexPastChats)) await syncPastChats(index);
+    if (pipelines.some(p => p.localIndexWorldInfo)) await syncWorldInfo(index);
 
-    const ragMessages = [
-        { role: ROLES.SYSTEM, content: systemPrompt },
-        { role: ROLES.USER, content: userPrompt }
-    ];
-    console.log(DEBUG_PREFIX, "RAG messages built:", ragMessages.length);
-    debugLog("[[DEBUG]] Sending ragMessages:", JSON.stringify(ragMessages, null, 2));
+    index.ready = true;
+    await saveLocalIndex(index);
+    debugLog(`Local index ready for ${index.key}: ${index.docs.size} passages`);
+    updateLocalIndexStatus();
+}
 
-    // Build the tool to include
-    const tool = settings.useNativeRetrieval
-        ? buildRetrievalTool()
-        : buildFunctionTool();
+/**
+ * Get the local index for the active character, loading it if needed
+ * @returns {Promise<object|null>}
+ */
+async function ensureLocalIndex() {
+    const key = getLocalIndexKey();
+    if (!key) return null;
 
-    if (!tool) {
-        console.log(DEBUG_PREFIX, "Failed to build tool, skipping");
-        return "";
+    if (localIndex.key !== key) {
+        localIndex = createEmptyLocalIndex(key);
+        localIndex.loading = loadLocalIndex(localIndex);
     }
 
-    console.log(DEBUG_PREFIX, "Sending RAG request with tool:", JSON.stringify(tool));
+    await localIndex.loading;
+    return localIndex;
+}
 
-    // Send request to the RAG profile
-    const result = await ConnectionManagerRequestService.sendRequest(
-        settings.ragProfileId,
-        ragMessages,
-        settings.maxTokens,
-        {
-            stream: false,
-            extractData: true,
-        },
-        {
-            tools: [tool],
-            tool_choice: settings.toolChoice === "required" ? "required" : "auto",
-            // Vertex AI auth settings - uses full mode with service account
-            vertexai_auth_mode: 'full',
-        }
-    );
+/**
+ * Search the built-in local index
+ * The most recent messages of the current chat are skipped, since they are already in context
+ * @param {object} settings - Extension settings
+ * @param {{ query: string, max_results: number }} args - Search arguments
+ * @returns {Promise<Array<{ text: string, score: number, source: string }>>}
+ */
+async function searchLocalIndex(settings, args) {
+    const index = await ensureLocalIndex();
+    if (!index) return [];
 
-    debugLog("RAG response received:", result);
+    const context = getContext();
+    const chatId = context.getCurrentChatId?.();
+    const currentPrefix = `chat:${chatId}:`;
+    // Memories of the current chat (see createPassage), IDs ending in _<first>_<last>
+    const currentMemoryPrefix = `mem:c${Math.abs(getStringHash(String(chatId))).toString(36)}_`;
+    const recentStart = (context.chat?.length || 0) - (settings.localIndexSkipRecent || 0);
+
+    const include = (id) => {
+        if (id.startsWith("wi:")) return settings.localIndexWorldInfo;
+        if (id.startsWith(currentMemoryPrefix)) {
+            return settings.localIndexCurrentChat && Number(id.split("_").pop()) < recentStart;
+        }
+        if (id.startsWith("mem:")) return true;
+        if (id.startsWith(currentPrefix)) {
+            return settings.localIndexCurrentChat && Number(id.slice(currentPrefix.length)) < recentStart;
+        }
+        return settings.localIndexPastChats;
+    };
 
-    // Extract the response content
-    // @ts-ignore
-    return (typeof result === 'object' && result !== null && 'content' in result)
-        ? result.content
-        : "";
+    return searchBm25(index, args.query, args.max_results, include);
 }
 
 /**
- * Reprocess World Info with new context
- * @param {Array} messages - Chat messages (mutated in-place)
+ * Keep the loaded index in step with new, edited and swiped messages
+ * @param {number} messageId - Message index in the current chat
  */
-async function reprocessWorldInfo(messages) {
-    console.log(DEBUG_PREFIX, "Reprocessing World Info with new context...");
+function onLocalIndexMessageUpdated(messageId) {
+    if (!localIndex.ready || localIndex.key !== getLocalIndexKey()) return;
+
     const context = getContext();
+    const id = Number(messageId);
+    indexChatMessage(localIndex, context.getCurrentChatId(), id, context.chat[id]);
+    saveLocalIndexDebounced();
+    updateLocalIndexStatus();
+}
 
-    if (!context || !context.getWorldInfoPrompt || !context.getCharacterCardFields) {
-        console.warn(DEBUG_PREFIX, "Context functions missing, skipping World Info reprocessing");
-        return;
-    }
+/**
+ * Re-index the current chat after a deletion (message indices shift)
+ */
+function onLocalIndexMessageDeleted() {
+    if (!localIndex.ready || localIndex.key !== getLocalIndexKey()) return;
 
-    try {
+    syncCurrentChat(localIndex);
+    saveLocalIndexDebounced();
+    updateLocalIndexStatus();
+}
+
+/**
+ * Drop the stored index for the active character and build it again
+ * Written memories (mem:) are kept, since they can't be rebuilt from the chats
+ */
+async function rebuildLocalIndex() {
+    const key = getLocalIndexKey();
+    if (!key) {
+        toastr.info("Select a character or group first.", "RAG Context Injector");
+        return;
+    }
+
+    try {
+        const stored = await localIndexStore.getItem(key);
+        const memories = stored?.version === LOCAL_INDEX_VERSION
+            ? (stored.docs || []).filter(([id]) => id.startsWith("mem:"))
+            : [];
+        await localIndexStore.setItem(key, { version: LOCAL_INDEX_VERSION, chats: {}, docs: memories });
+    } catch (error) {
+        console.error(DEBUG_PREFIX, "Failed to reset local index:", error);
+        toastr.error(`Could not reset the index: ${error.message}`, "RAG Context Injector");
+        return;
+    }
+    localIndex = createEmptyLocalIndex(null);
+    $("#rag_local_index_status").text("Indexing...");
+    await ensureLocalIndex();
+    toastr.success(`Indexed ${localIndex.docs.size} passages.`, "RAG Context Injector");
+}
+
+/**
+ * Show the size of the loaded index in the settings panel
+ */
+function updateLocalIndexStatus() {
+    const text = localIndex.ready
+        ? `${localIndex.docs.size} passages indexed for ${localIndex.key}`
+        : "Index is built on first search.";
+    $("#rag_local_index_status").text(text);
+}
+
+// Chat metadata key for the ingestion progress of each sink
+const INGEST_FIELD = "rag_context_injector_ingest";
+
+// Passages sent to the HTTP upsert endpoint per request
+const INGEST_BATCH_SIZE = 50;
+
+let ingestRunning = null;
+
+/**
+ * Get the key ingestion progress is tracked under; each HTTP endpoint has its own
+ * @param {object} settings - Extension settings
+ * @returns {string}
+ */
+function getIngestSinkKey(settings) {
+    return settings.ingestSink === "http" ? `http:${settings.ingestEndpointUrl}` : settings.ingestSink;
+}
+
+/**
+ * Get the current chat's ingestion progress for a sink
+ * @param {string} sinkKey - See getIngestSinkKey
+ * @returns {{ next: number, hashes: number[], count: number, updatedAt?: string }}
+ */
+function getIngestState(sinkKey) {
+    return getContext().chatMetadata?.[INGEST_FIELD]?.[sinkKey] ?? { next: 0, hashes: [], count: 0 };
+}
+
+/**
+ * Build one passage from a window of messages
+ * @param {string} chatId - Chat file name
+ * @param {Array<{ msg: object, i: number }>} window - Messages and their chat indices
+ * @returns {object} - Passage
+ */
+function createPassage(chatId, window) {
+    const first = window[0].i;
+    const last = window[window.length - 1].i;
+    const text = window.map(({ msg }) => `${msg.name}: ${msg.mes}`).join("\n\n");
+    const sentAt = timestampToMoment(window[window.length - 1].msg.send_date);
+    const context = getContext();
+
+    return {
+        // Stable across re-runs, so sinks can upsert; letters, digits and _ only for Vertex AI Search
+        id: `c${Math.abs(getStringHash(chatId)).toString(36)}_${first}_${last}`,
+        chatId: chatId,
+        character: context.groupId
+            ? context.groups?.find(g => g.id === context.groupId)?.name || ""
+            : context.characters?.[context.characterId]?.name || "",
+        messageStart: first,
+        messageEnd: last,
+        speakers: [...new Set(window.map(({ msg }) => msg.name))],
+        timestamp: sentAt.isValid() ? sentAt.toISOString() : new Date().toISOString(),
+        text: text,
+    };
+}
+
+/**
+ * Chunk the chat into overlapping windows of messages, starting at a message
+ * Hidden and system messages are left out
+ * @param {object} settings - Extension settings
+ * @param {string} chatId - Chat file name
+ * @param {Array} chat - Chat messages
+ * @param {number} from - First message not ingested yet
+ * @param {number} until - Messages from here on are not finished yet
+ * @param {boolean} flush - Also emit the last, incomplete window
+ * @returns {{ passages: Array<object>, next: number }} - Passages, and the first message they don't cover
+ */
+function chunkChat(settings, chatId, chat, from, until, flush) {
+    const items = chat
+        .map((msg, i) => ({ msg, i }))
+        .filter(({ msg, i }) => i < until && !msg.is_system && msg.mes);
+    const size = Math.max(1, Number(settings.ingestWindowSize) || 1);
+    const overlap = Math.min(size - 1, Math.max(0, Number(settings.ingestWindowOverlap) || 0));
+
+    const firstNew = items.findIndex(({ i }) => i >= from);
+    if (firstNew < 0) return { passages: [], next: from };
+
+    const passages = [];
+    let next = from;
+    for (let pos = Math.max(0, firstNew - overlap); pos < items.length; pos += size - overlap) {
+        const window = items.slice(pos, pos + size);
+        if (window.length < size && !flush) break;
+
+        passages.push(createPassage(chatId, window));
+        next = window[window.length - 1].i + 1;
+        if (pos + size >= items.length) break;
+    }
+
+    return { passages, next };
+}
+
+/**
+ * Add passages to the built-in local index of the active character or group
+ * @param {object} settings - Extension settings
+ * @param {Array<object>} passages - Passages
+ */
+async function writeToLocalIndex(settings, passages) {
+    const index = await ensureLocalIndex();
+    if (!index) throw new Error("Select a character or group first");
+
+    for (const passage of passages) {
+        addDocument(index, `mem:${passage.id}`, passage.text, `Memory: ${passage.chatId} #${passage.messageStart}-${passage.messageEnd}`);
+    }
+    saveLocalIndexDebounced();
+    updateLocalIndexStatus();
+}
+
+/**
+ * Send passages to the HTTP upsert endpoint
+ * @param {object} settings - Extension settings
+ * @param {Array<object>} passages - Passages
+ */
+async function upsertToHttpEndpoint(settings, passages) {
+    if (!settings.ingestEndpointUrl) throw new Error("No upsert endpoint configured");
+
+    const response = await fetch(settings.ingestEndpointUrl, {
+        method: "POST",
+        headers: getHttpHeaders(settings.ingestHttpHeaders),
+        body: JSON.stringify({ passages }),
+    });
+
+    if (!response.ok) {
+        throw new Error(`Upsert endpoint returned ${response.status} ${response.statusText}`);
+    }
+}
+
+/**
+ * Download passages as JSONL (one Vertex AI Search document per line) or Markdown
+ * @param {object} settings - Extension settings
+ * @param {Array<object>} passages - Passages
+ */
+function exportPassages(settings, passages) {
+    const { chatId } = passages[0];
+    const range = `${passages[0].messageStart}-${passages[passages.length - 1].messageEnd}`;
+
+    if (settings.ingestExportFormat === "markdown") {
+        const markdown = passages.map(p =>
+            `## ${p.character || p.chatId}, messages ${p.messageStart}-${p.messageEnd}\n\n*${p.speakers.join(", ")} - ${p.timestamp}*\n\n${p.text}\n`,
+        ).join("\n");
+        download(markdown, `${chatId} ${range}.md`, "text/markdown");
+        return;
+    }
+
+    const jsonl = passages.map(({ id, ...data }) => JSON.stringify({ id, structData: data })).join("\n");
+    download(jsonl + "\n", `${chatId} ${range}.jsonl`, "application/jsonl");
+}
+
+/**
+ * Write the current chat's new passages to the configured sink
+ * Passages already written to the sink are skipped, and progress is saved with the chat
+ * after each batch, so an interrupted run picks up where it stopped
+ * @param {{ flush?: boolean }} [options] - flush also writes the most recent messages and the last, incomplete window
+ * @returns {Promise<number>} - Number of passages written
+ */
+async function ingestChat(options = {}) {
+    if (ingestRunning) return ingestRunning;
+
+    const run = async () => {
+        const settings = getSettings();
+        const context = getContext();
+        const chatId = context.getCurrentChatId?.();
+        if (!chatId) return 0;
+
+        const sinkKey = getIngestSinkKey(settings);
+        const state = getIngestState(sinkKey);
+        const chat = context.chat || [];
+        const until = options.flush ? chat.length : chat.length - Math.max(0, settings.ingestSkipRecent || 0);
+
+        // Messages may have been deleted since the last run
+        const from = Math.min(state.next, chat.length);
+        const { passages, next } = chunkChat(settings, chatId, chat, from, until, !!options.flush);
+
+        const seen = new Set(state.hashes);
+        const fresh = passages.filter(p => !seen.has(getStringHash(p.text)));
+        debugLog(`Ingesting ${fresh.length} passage(s) of ${chatId} into ${sinkKey}`);
+
+        const save = async (batch, batchNext) => {
+            // Don't write progress into another chat's metadata
+            if (getContext().getCurrentChatId() !== chatId) throw new Error("Chat changed during ingestion");
+
+            const all = { ...(context.chatMetadata[INGEST_FIELD] || {}) };
+            const current = all[sinkKey] || { next: 0, hashes: [], count: 0 };
+            all[sinkKey] = {
+                next: batchNext,
+                hashes: [...current.hashes, ...batch.map(p => getStringHash(p.text))],
+                count: current.count + batch.length,
+                updatedAt: new Date().toISOString(),
+            };
+            context.chatMetadata[INGEST_FIELD] = all;
+            await context.saveMetadata();
+        };
+
+        if (fresh.length === 0) {
+            if (next !== state.next) await save([], next);
+            return 0;
+        }
+
+        if (settings.ingestSink === "http") {
+            for (let i = 0; i < fresh.length; i += INGEST_BATCH_SIZE) {
+                const batch = fresh.slice(i, i + INGEST_BATCH_SIZE);
+                await upsertToHttpEndpoint(settings, batch);
+                const isLast = i + INGEST_BATCH_SIZE >= fresh.length;
+                await save(batch, isLast ? next : batch[batch.length - 1].messageEnd + 1);
+            }
+        } else if (settings.ingestSink === "export") {
+            exportPassages(settings, fresh);
+            await save(fresh, next);
+        } else {
+            await writeToLocalIndex(settings, fresh);
+            await save(fresh, next);
+        }
+
+        return fresh.length;
+    };
+
+    ingestRunning = run().finally(() => {
+        ingestRunning = null;
+        updateIngestStatus();
+    });
+    return ingestRunning;
+}
+
+/**
+ * Ingest automatically once a reply is finished
+ */
+async function onIngestMessageReceived() {
+    const settings = getSettings();
+    if (!settings.ingestEnabled || settings.ingestSink === "export") return;
+
+    try {
+        await ingestChat();
+    } catch (error) {
+        console.warn(DEBUG_PREFIX, "Memory writing failed:", error);
+        if (settings.notifyOnFailure) {
+            toastr.warning(`Memory writing failed: ${error.message}`, "RAG Context Injector");
+        }
+    }
+}
+
+/**
+ * Ingest the whole current chat now, including the most recent messages
+ */
+async function ingestNow() {
+    if (!getContext().getCurrentChatId?.()) {
+        toastr.info("Open a chat first.", "RAG Context Injector");
+        return;
+    }
+
+    try {
+        const count = await ingestChat({ flush: true });
+        toastr.success(count ? `Wrote ${count} passage(s).` : "Nothing new to write.", "RAG Context Injector");
+    } catch (error) {
+        console.error(DEBUG_PREFIX, "Memory writing failed:", error);
+        toastr.error(`Memory writing failed: ${error.message}`, "RAG Context Injector");
+    }
+}
+
+/**
+ * Forget the current chat's progress for the selected sink, so it is written again from the start
+ */
+async function resetIngestProgress() {
+    const context = getContext();
+    const sinkKey = getIngestSinkKey(getSettings());
+    if (!context.chatMetadata?.[INGEST_FIELD]?.[sinkKey]) {
+        toastr.info("Nothing written from this chat yet.", "RAG Context Injector");
+        return;
+    }
+
+    const all = { ...context.chatMetadata[INGEST_FIELD] };
+    delete all[sinkKey];
+    context.chatMetadata[INGEST_FIELD] = all;
+    await context.saveMetadata();
+    updateIngestStatus();
+    toastr.success("Memory writing progress reset for this chat.", "RAG Context Injector");
+}
+
+/**
+ * Show the current chat's ingestion progress in the settings panel
+ */
+function updateIngestStatus() {
+    const context = getContext();
+    if (!context.getCurrentChatId?.()) {
+        $("#rag_ingest_status").text("No chat open.");
+        return;
+    }
+
+    const state = getIngestState(getIngestSinkKey(getSettings()));
+    const total = context.chat?.length || 0;
+    $("#rag_ingest_status").text(state.count
+        ? `${state.count} passage(s) written from this chat, up to message ${state.next} of ${total}`
+        : "Nothing written from this chat yet.");
+}
+
+// Chat metadata key for the running summary
+const SUMMARY_FIELD = "rag_context_injector_summary";
+
+// Most messages folded into the summary per request, so a long backlog doesn't overflow the profile's context
+const SUMMARY_MAX_MESSAGES = 50;
+
+let summaryRunning = null;
+
+/**
+ * Get the current chat's running summary
+ * @returns {{ text: string, until: number, updatedAt?: string }} - until is the first message not summarized yet
+ */
+function getChatSummary() {
+    return getContext().chatMetadata?.[SUMMARY_FIELD] ?? { text: "", until: 0 };
+}
+
+/**
+ * Save the current chat's running summary
+ * @param {{ text: string, until: number }} summary
+ */
+async function saveChatSummary(summary) {
+    const context = getContext();
+    context.chatMetadata[SUMMARY_FIELD] = { ...summary, updatedAt: new Date().toISOString() };
+    await context.saveMetadata();
+    updateSummaryStatus();
+}
+
+/**
+ * Fold the messages not summarized yet into the running summary, a batch at a time
+ * Progress is saved after each batch
+ * @param {{ flush?: boolean }} [options] - flush also summarizes the most recent messages
+ * @returns {Promise<number>} - Number of messages summarized
+ */
+async function updateChatSummary(options = {}) {
+    if (summaryRunning) return summaryRunning;
+
+    const run = async () => {
+        const settings = getSettings();
+        const context = getContext();
+        const chatId = context.getCurrentChatId?.();
+        if (!chatId) return 0;
+
+        const profileId = settings.summaryProfileId;
+        if (!profileId) throw new Error("No summary profile");
+
+        let summarized = 0;
+        let summary = getChatSummary();
+        const chat = context.chat || [];
+
+        // The last messages may still be swiped, regenerated or edited
+        const end = options.flush ? chat.length : chat.length - Math.max(0, settings.summarySkipRecent || 0);
+
+        // Messages may have been deleted since the last update
+        let from = Math.min(summary.until, chat.length);
+        while (from < end) {
+            const until = Math.min(end, from + SUMMARY_MAX_MESSAGES);
+            const messages = chat.slice(from, until)
+                .filter(msg => !msg.is_system && msg.mes)
+                .map(msg => ({ role: msg.is_user ? ROLES.USER : ROLES.ASSISTANT, name: msg.name || "", content: msg.mes }));
+
+            let text = summary.text;
+            if (messages.length > 0) {
+                // Messages go in last, so their text isn't run through macro substitution
+                const prompt = replaceTemplateVars(settings.summaryPrompt, [], {}, {})
+                    .replace(/{{newMessages}}/g, () => formatMessagesForContext(messages));
+
+                const result = await ConnectionManagerRequestService.sendRequest(
+                    profileId,
+                    [{ role: ROLES.USER, content: prompt }],
+                    settings.summaryMaxTokens,
+                    {
+                        stream: false,
+                        extractData: true,
+                    },
+                );
+
+                // @ts-ignore
+                text = (typeof result === 'object' && result !== null && 'content' in result) ? String(result.content).trim() : "";
+                if (!text) throw new Error("Summary profile returned an empty response");
+            }
+
+            // Don't write the summary into another chat's metadata
+            if (getContext().getCurrentChatId() !== chatId) throw new Error("Chat changed during summary update");
+
+            summary = { text, until };
+            await saveChatSummary(summary);
+            summarized += until - from;
+            from = until;
+        }
+
+        debugLog(`Summarized ${summarized} message(s) of ${chatId}`);
+        return summarized;
+    };
+
+    summaryRunning = run().finally(() => {
+        summaryRunning = null;
+    });
+    return summaryRunning;
+}
+
+/**
+ * Update the running summary once enough new messages have arrived
+ */
+async function onSummaryMessageReceived() {
+    const settings = getSettings();
+    if (!settings.summaryEnabled) return;
+
+    const settled = (getContext().chat?.length || 0) - Math.max(0, settings.summarySkipRecent || 0);
+    if (settled - getChatSummary().until < Math.max(1, settings.summaryEvery)) return;
+
+    try {
+        await updateChatSummary();
+    } catch (error) {
+        console.warn(DEBUG_PREFIX, "Summary update failed:", error);
+        if (settings.notifyOnFailure) {
+            toastr.warning(`Summary update failed: ${error.message}`, "RAG Context Injector");
+        }
+    }
+}
+
+/**
+ * Bring the running summary up to date now
+ */
+async function updateSummaryNow() {
+    if (!getContext().getCurrentChatId?.()) {
+        toastr.info("Open a chat first.", "RAG Context Injector");
+        return;
+    }
+
+    $("#rag_summary_status").text("Summarizing...");
+    try {
+        const count = await updateChatSummary({ flush: true });
+        toastr.success(count ? `Summarized ${count} message(s).` : "Summary is up to date.", "RAG Context Injector");
+    } catch (error) {
+        console.error(DEBUG_PREFIX, "Summary update failed:", error);
+        toastr.error(`Summary update failed: ${error.message}`, "RAG Context Injector");
+    }
+    updateSummaryStatus();
+}
+
+/**
+ * View and edit the current chat's running summary
+ */
+async function editChatSummary() {
+    const context = getContext();
+    if (!context.getCurrentChatId?.()) {
+        toastr.info("Open a chat first.", "RAG Context Injector");
+        return;
+    }
+
+    const summary = getChatSummary();
+    const { callGenericPopup, POPUP_TYPE } = context;
+    const text = await callGenericPopup("Chat summary", POPUP_TYPE.INPUT, summary.text, { rows: 15, wide: true });
+    if (typeof text !== "string") return;
+
+    await saveChatSummary({ ...summary, text: text.trim() });
+}
+
+/**
+ * Forget the current chat's running summary, so it is written again from the start
+ */
+async function clearChatSummary() {
+    const context = getContext();
+    if (!context.chatMetadata?.[SUMMARY_FIELD]) return;
+
+    delete context.chatMetadata[SUMMARY_FIELD];
+    await context.saveMetadata();
+    updateSummaryStatus();
+    toastr.success("Chat summary cleared.", "RAG Context Injector");
+}
+
+/**
+ * Show the current chat's summary progress in the settings panel
+ */
+function updateSummaryStatus() {
+    const context = getContext();
+    if (!context.getCurrentChatId?.()) {
+        $("#rag_summary_status").text("No chat open.");
+        return;
+    }
+
+    const summary = getChatSummary();
+    const total = context.chat?.length || 0;
+    $("#rag_summary_status").text(summary.text
+        ? `Summary covers ${summary.until} of ${total} messages (${summary.text.length} characters).`
+        : "No summary for this chat yet.");
+}
+
+/**
+ * Extract tool calls from a raw chat completion response
+ * Handles OpenAI-style choices[].message.tool_calls and Gemini functionCall parts
+ * @param {any} result - Raw response (extractData: false)
+ * @returns {Array<{ id: string, name: string, arguments: object }>}
+ */
+function extractToolCalls(result) {
+    const parseArgs = (args) => {
+        if (typeof args !== "string") return args || {};
+        try {
+            return JSON.parse(args);
+        } catch {
+            return { query: args };
+        }
+    };
+
+    const openAiCalls = result?.choices?.[0]?.message?.tool_calls;
+    if (Array.isArray(openAiCalls) && openAiCalls.length > 0) {
+        return openAiCalls.map((call, i) => ({
+            id: call.id || `call_${i}`,
+            name: call.function?.name || "",
+            arguments: parseArgs(call.function?.arguments),
+        }));
+    }
+
+    const parts = result?.responseContent?.parts ?? result?.candidates?.[0]?.content?.parts ?? [];
+    return parts
+        .filter(part => part.functionCall)
+        .map((part, i) => ({
+            id: part.functionCall.id || `call_${i}`,
+            name: part.functionCall.name || "",
+            arguments: parseArgs(part.functionCall.args),
+        }));
+}
+
+/**
+ * Extract the text reply from a raw chat completion response
+ * @param {any} result - Raw response (extractData: false)
+ * @returns {string}
+ */
+function extractResponseText(result) {
+    if (typeof result === "string") return result;
+
+    const content = result?.choices?.[0]?.message?.content;
+    if (typeof content === "string") return content;
+
+    const parts = result?.responseContent?.parts ?? result?.candidates?.[0]?.content?.parts;
+    if (Array.isArray(parts)) {
+        return parts.filter(p => !p.thought && p.text).map(p => p.text).join("\n\n");
+    }
+
+    if (Array.isArray(result?.content)) {
+        return result.content.filter(p => p.type === "text").map(p => p.text).join("\n\n");
+    }
+
+    return typeof result?.content === "string" ? result.content : "";
+}
+
+/**
+ * Find the grounding metadata of a native retrieval response (Gemini / Vertex AI)
+ * @param {any} result - Raw response (extractData: false)
+ * @returns {object|null}
+ */
+function findGroundingMetadata(result) {
+    return result?.candidates?.[0]?.groundingMetadata
+        ?? result?.responseContent?.groundingMetadata
+        ?? result?.choices?.[0]?.message?.groundingMetadata
+        ?? result?.groundingMetadata
+        ?? null;
+}
+
+/**
+ * Extract sources and cited segments from a native retrieval response
+ * Citation source numbers are indices into the sources
+ * @param {any} result - Raw response (extractData: false)
+ * @returns {{ sources: Array<{ title: string, uri: string, text: string }>, citations: Array<{ text: string, sources: number[] }> }}
+ */
+function extractGrounding(result) {
+    const metadata = findGroundingMetadata(result);
+    if (!metadata) return { sources: [], citations: [] };
+
+    const sources = (metadata.groundingChunks || []).map(chunk => {
+        const ref = chunk.web || chunk.retrievedContext || {};
+        return { title: ref.title || ref.uri || "Untitled", uri: ref.uri || "", text: ref.text || "" };
+    });
+
+    const citations = (metadata.groundingSupports || [])
+        .filter(support => support.segment?.text)
+        .map(support => ({ text: support.segment.text, sources: support.groundingChunkIndices || [] }));
+
+    return { sources, citations };
+}
+
+/**
+ * Turn passage source labels into a unique source list
+ * @param {Array<{ source?: string, text?: string }>} passages - Retrieved passages
+ * @returns {Array<{ title: string, uri: string, text: string }>}
+ */
+function getPassageSources(passages) {
+    const sources = new Map();
+    for (const passage of passages) {
+        if (!passage?.source || sources.has(passage.source)) continue;
+        const isUrl = /^https?:\/\//i.test(passage.source);
+        sources.set(passage.source, { title: passage.source, uri: isUrl ? passage.source : "", text: passage.text || "" });
+    }
+    return [...sources.values()];
+}
+
+/**
+ * Collect the sources of the passages returned to the model by tool calls
+ * @param {Array<{ result: string }>} toolCalls - Executed tool calls
+ * @returns {Array<{ title: string, uri: string, text: string }>}
+ */
+function getToolCallSources(toolCalls) {
+    const passages = [];
+    for (const call of toolCalls) {
+        try {
+            passages.push(...(JSON.parse(call.result).results || []));
+        } catch {
+            // Not a results payload
+        }
+    }
+    return getPassageSources(passages);
+}
+
+/**
+ * Number the sources for the {{ragSources}} macro
+ * @param {Array<{ title: string, uri: string }>} sources - Sources
+ * @returns {string}
+ */
+function formatSources(sources) {
+    return sources
+        .map((source, i) => `[${i + 1}] ${source.title}${source.uri && source.uri !== source.title ? ` (${source.uri})` : ""}`)
+        .join("\n");
+}
+
+/**
+ * Add [n] markers after each cited segment of the response, for the {{ragCitations}} macro
+ * @param {string} response - RAG response
+ * @param {Array<{ text: string, sources: number[] }>} citations - Cited segments
+ * @returns {string}
+ */
+function insertCitationMarkers(response, citations) {
+    const placements = citations
+        .map(citation => ({
+            end: response.indexOf(citation.text) + citation.text.length,
+            found: response.includes(citation.text),
+            markers: citation.sources.map(i => `[${i + 1}]`).join(""),
+        }))
+        .filter(p => p.found && p.markers)
+        // Insert from the end so earlier positions stay valid
+        .sort((a, b) => b.end - a.end);
+
+    let result = response;
+    for (const { end, markers } of placements) {
+        result = result.slice(0, end) + markers + result.slice(end);
+    }
+    return result;
+}
+
+/**
+ * Search the pipeline's retrieval backend, dropping passages below its minimum score
+ * Passages without a score are kept
+ * @param {object} settings - Pipeline settings
+ * @param {{ query: string, max_results: number }} args - Search arguments
+ * @param {object} run - Run record
+ * @param {AbortSignal} [signal] - Aborts the search
+ * @returns {Promise<Array<{ text: string, score: number|null, source: string }>>}
+ */
+async function searchBackend(settings, args, run, signal) {
+    const passages = await RETRIEVAL_BACKENDS[settings.retrievalBackend].search(settings, args, signal);
+    const minScore = Number(settings.minPassageScore) || 0;
+    if (minScore <= 0) return passages;
+
+    const kept = passages.filter(p => p.score === null || p.score === undefined || p.score >= minScore);
+    if (kept.length < passages.length) {
+        traceLog(run, `Dropped ${passages.length - kept.length} passage(s) scoring below ${minScore}`);
+    }
+    return kept;
+}
+
+/**
+ * Execute a single tool call against the configured retrieval backend
+ * Errors are returned to the model as a JSON error so it can recover
+ * @param {object} settings - Extension settings
+ * @param {{ name: string, arguments: object }} call - Parsed tool call
+ * @param {object} run - Run record
+ * @param {AbortSignal} [signal] - Aborts the search
+ * @returns {Promise<string>} - JSON string for the tool message content
+ */
+async function executeToolCall(settings, call, run, signal) {
+    if (call.name !== settings.toolName) {
+        return JSON.stringify({ error: `Unknown tool: ${call.name}` });
+    }
+
+    const query = String(call.arguments?.query ?? "").trim();
+    if (!query) {
+        return JSON.stringify({ error: "Missing required parameter: query" });
+    }
+
+    const requested = parseInt(call.arguments?.max_results, 10);
+    const maxResults = Math.min(settings.maxResults, requested > 0 ? requested : settings.maxResults);
+
+    const backend = RETRIEVAL_BACKENDS[settings.retrievalBackend];
+    if (!backend) {
+        return JSON.stringify({ error: `Unknown retrieval backend: ${settings.retrievalBackend}` });
+    }
+
+    try {
+        const results = await searchBackend(settings, { query, max_results: maxResults }, run, signal);
+        traceLog(run, `Tool call "${query}" returned ${results.length} results`);
+        return JSON.stringify({ results: results.slice(0, maxResults) });
+    } catch (error) {
+        // Timeouts and Stop end the whole run, not just this call
+        if (signal?.aborted) throw error;
+        console.error(DEBUG_PREFIX, "Tool call failed:", error);
+        return JSON.stringify({ error: error.message });
+    }
+}
+
+/**
+ * Run the function-calling loop: send, execute any tool calls, append the
+ * results as tool messages and send again until the model answers in text
+ * With a structured output schema, the answer is then asked for in a separate request without tools
+ * @param {object} settings - Extension settings
+ * @param {Array} ragMessages - RAG conversation (mutated with tool turns)
+ * @param {object} tool - Function tool definition
+ * @param {object} run - Run record; executed tool calls are appended to run.toolCalls
+ * @param {AbortSignal} [signal] - Aborts the requests and searches
+ * @returns {Promise<string>} - Final text response
+ */
+async function runToolCallLoop(settings, ragMessages, tool, run, signal) {
+    const maxRounds = Math.max(1, settings.maxToolRounds || 1);
+    const useSchema = Object.keys(getStructuredOutputPayload(settings)).length > 0;
+
+    for (let round = 0; ; round++) {
+        // Force a text answer once the round limit is reached
+        const isFinalRound = round >= maxRounds;
+        if (isFinalRound && useSchema) {
+            return sendStructuredAnswerRequest(settings, ragMessages, run, signal);
+        }
+
+        let toolChoice = "auto";
+        if (isFinalRound) {
+            toolChoice = "none";
+        } else if (round === 0 && settings.toolChoice === "required") {
+            toolChoice = "required";
+        }
+
+        const result = await ConnectionManagerRequestService.sendRequest(
+            settings.ragProfileId,
+            ragMessages,
+            settings.maxTokens,
+            {
+                stream: false,
+                extractData: false,
+                signal: signal,
+            },
+            {
+                tools: [tool],
+                tool_choice: toolChoice,
+                vertexai_auth_mode: 'full',
+            }
+        );
+
+        run.trace.rawResponse = result;
+        addTraceUsage(run, result);
+        const toolCalls = extractToolCalls(result);
+        const text = extractResponseText(result);
+        traceLog(run, `Tool round ${round + 1}: ${toolCalls.length} tool call(s)`);
+
+        if (toolCalls.length === 0 || isFinalRound) {
+            return useSchema ? sendStructuredAnswerRequest(settings, ragMessages, run, signal) : text;
+        }
+
+        ragMessages.push({
+            role: ROLES.ASSISTANT,
+            content: text || "",
+            tool_calls: toolCalls.map(call => ({
+                id: call.id,
+                type: "function",
+                function: {
+                    name: call.name,
+                    arguments: JSON.stringify(call.arguments),
+                },
+            })),
+        });
+
+        for (const call of toolCalls) {
+            const content = await executeToolCall(settings, call, run, signal);
+            run.toolCalls.push({ name: call.name, arguments: call.arguments, result: content });
+            ragMessages.push({
+                role: ROLES.TOOL,
+                tool_call_id: call.id,
+                name: call.name,
+                content: content,
+            });
+        }
+    }
+}
+
+/**
+ * Ask for the structured answer of a function-calling run, in a request without tools
+ * Providers reject tool turns without tool declarations, so the searches are replaced by their passages
+ * @param {object} settings - Pipeline settings
+ * @param {Array} ragMessages - RAG conversation including the tool turns
+ * @param {object} run - Run record with the executed tool calls
+ * @param {AbortSignal} [signal] - Aborts the request
+ * @returns {Promise<string>} - RAG response content
+ */
+async function sendStructuredAnswerRequest(settings, ragMessages, run, signal) {
+    const messages = ragMessages
+        .filter(m => m.role !== ROLES.TOOL && !m.tool_calls)
+        .map(m => ({ ...m }));
+
+    const seen = new Set();
+    const passages = run.toolCalls.flatMap(call => {
+        try {
+            return JSON.parse(call.result).results || [];
+        } catch {
+            return [];
+        }
+    }).filter(p => !seen.has(p.text) && seen.add(p.text));
+
+    traceLog(run, `Requesting the structured answer from ${passages.length} passage(s)`);
+    return sendSynthesisRequest(settings, messages, passages, signal);
+}
+
+// Track if we're currently processing a RAG request to avoid infinite loops
+let isProcessingRag = false;
+
+// Key of the RAG run records stored in a chat message's extra
+const MESSAGE_EXTRA_KEY = "rag_context";
+
+// Generation in progress, from GENERATION_STARTED: { type }
+let currentGeneration = null;
+
+// Runs of the current generation, waiting to be attached to the reply
+let pendingRagRuns = null;
+
+// Runs of the most recent generation that ran RAG
+let lastRagRuns = [];
+
+// Character index of the group member drafted to speak next, from GROUP_MEMBER_DRAFTED
+let draftedMemberId = null;
+
+// Runs of the current group round, keyed "<pipelineId>:<characterId>"; cleared by the next user message
+const groupRoundRuns = new Map();
+
+// Aborts the RAG requests of the generation in progress (Stop button)
+let ragAbortController = null;
+
+// One-shot override for the next generation, set by /rag-force and /rag-skip: "force" | "skip" | null
+let nextGenerationOverride = null;
+
+// Prompt of the last chat completion, before injection: { chatId, messages }. Used by previews and dry runs
+let lastPrompt = null;
+
+/**
+ * Get the chat history for history macros, filtered by the pipeline's options
+ * Hidden messages are those excluded from the prompt (is_system); system messages are
+ * narrator, comment and other typed messages
+ * @param {object} [settings] - Pipeline settings (historySkipHidden, historySkipSystem)
+ * @returns {Array<{ role: string, name: string, content: string }>}
+ */
+function getHistoryMessages(settings = {}) {
+    const skipHidden = settings.historySkipHidden ?? true;
+    const skipSystem = settings.historySkipSystem ?? false;
+
+    return (getContext().chat || [])
+        .filter(msg => !(skipHidden && msg.is_system) && !(skipSystem && msg.extra?.type))
+        .map(msg => {
+            let role = ROLES.ASSISTANT;
+            if (msg.is_user) {
+                role = ROLES.USER;
+            } else if (msg.extra?.type) {
+                role = ROLES.SYSTEM;
+            }
+            return { role: role, name: msg.name || "", content: msg.mes || "" };
+        });
+}
+
+/**
+ * Get the last user message from chat messages
+ * @param {Array} messages - Chat messages array
+ * @returns {string}
+ */
+function getLastUserMessage(messages) {
+    for (let i = messages.length - 1; i >= 0; i--) {
+        if (messages[i].role === ROLES.USER) {
+            return messages[i].content || "";
+        }
+    }
+    return "";
+}
+
+/**
+ * Format messages array into readable context string
+ * @param {Array} messages - Messages to format
+ * @param {string} [format] - Per-message format; {{name}}, {{role}} and {{message}} are replaced
+ * @returns {string}
+ */
+function formatMessagesForContext(messages, format = DEFAULT_PIPELINE.historyMessageFormat) {
+    return messages.map(m => {
+        const fallbackName = { [ROLES.USER]: "User", [ROLES.SYSTEM]: "System" }[m.role] ?? "Assistant";
+        const content = typeof m.content === "string" ? m.content : JSON.stringify(m.content);
+        return (format || "{{name}}: {{message}}")
+            .replace(/{{name}}/g, () => m.name || fallbackName)
+            .replace(/{{role}}/g, () => m.role)
+            .replace(/{{message}}/g, () => content);
+    }).join("\n\n");
+}
+
+/**
+ * Count tokens synchronously, for macros
+ * Falls back to an estimate if the tokenizer isn't available
+ * @param {string} text - Text to count
+ * @returns {number}
+ */
+function countTokensSync(text) {
+    const context = getContext();
+    if (typeof context.getTokenCount === "function") {
+        return context.getTokenCount(text);
+    }
+    return Math.ceil(text.length / 3.35);
+}
+
+/**
+ * Format the most recent messages that fit in a token limit
+ * @param {Array} messages - Chat messages
+ * @param {number} limit - Max tokens
+ * @param {string} [format] - Per-message format
+ * @returns {string}
+ */
+function getHistoryWithinTokens(messages, limit, format) {
+    const picked = [];
+    let total = 0;
+    for (let i = messages.length - 1; i >= 0; i--) {
+        const tokens = countTokensSync(formatMessagesForContext([messages[i]], format));
+        if (total + tokens > limit) break;
+        total += tokens;
+        picked.unshift(messages[i]);
+    }
+    return formatMessagesForContext(picked, format);
+}
+
+/**
+ * Resolve {{#if name}}...{{else}}...{{/if}} blocks, innermost first
+ * A condition is true if the value is non-empty; {{#if !name}} negates it
+ * @param {string} template - Template text
+ * @param {(name: string) => string} resolve - Resolves a macro name to its value
+ * @returns {string}
+ */
+function processConditionals(template, resolve) {
+    const pattern = /{{#if\s+(!?)([\w:-]+)\s*}}((?:(?!{{#if\s)[\s\S])*?){{\/if}}/;
+    let result = template;
+    let match;
+    while ((match = pattern.exec(result)) !== null) {
+        const [block, negate, name, body] = match;
+        const [whenTrue, whenFalse = ""] = body.split("{{else}}");
+        const isTrue = Boolean(String(resolve(name) ?? "").trim()) !== Boolean(negate);
+        result = result.slice(0, match.index) + (isTrue ? whenTrue : whenFalse) + result.slice(match.index + block.length);
+    }
+    return result;
+}
+
+/**
+ * Convert SillyTavern chat messages to OpenAI format
+ * @param {Array} chatMessages - SillyTavern chat array
+ * @returns {Array} - OpenAI format messages {role, content}
+ */
+function convertSillyTavernToOpenAI(chatMessages) {
+    if (!Array.isArray(chatMessages)) return [];
+
+    return chatMessages.map(msg => {
+        let role = ROLES.ASSISTANT;
+        if (msg.is_user) {
+            role = ROLES.USER;
+        } else if (msg.is_system) {
+            role = ROLES.SYSTEM;
+        }
+
+        const converted = {
+            role: role,
+            content: msg.mes || ""
+        };
+
+        if (msg.name) {
+            converted.name = msg.name;
+        }
+
+        if (msg.extra?.thought_signatures) {
+            converted.thought_signatures = msg.extra.thought_signatures;
+        }
+
+        return converted;
+    });
+}
+
+/**
+ * Replace template variables in a string
+ * Supports: {{lastMessage}}, {{lastNMessages:5}}, {{userMessages:5}}, {{charMessages:5}}, {{historyTokens:2000}},
+ * {{messages:X:Y}}, {{recentHistory}}, {{fullHistory}}, {{chatSummary}}, {{#if name}}...{{else}}...{{/if}},
+ * the custom replacements ({{ragResponse}}, {{ragQuery}}, {{worldInfoBefore}}...) and SillyTavern's own macros
+ * @param {string} template 
+ * @param {Array} promptMessages - Prompt messages (unused for history macros now, kept for compatibility)
+ * @param {Object} extraReplacements - Additional key-value pairs for replacement (e.g. ragResponse)
+ * @param {object} [settings] - Pipeline settings: per-message format and hidden/system message filters
+ * @returns {string}
+ */
+function replaceTemplateVars(template, promptMessages, extraReplacements = {}, settings = {}) {
+    if (!template) return "";
+
+    const context = getContext();
+    const format = settings.historyMessageFormat || DEFAULT_PIPELINE.historyMessageFormat;
+
+    // In groups, {{char}} is the member about to speak
+    const speaker = getActiveSpeaker();
+    const substitute = (text) => speaker
+        ? context.substituteParams(text, undefined, speaker.name)
+        : context.substituteParams(text);
+
+    // Custom replacements (ragResponse, worldInfo...)
+    const customReplacements = {
+        ragResponse: extraReplacements.ragResponse || "",
+        worldInfoBefore: extraReplacements.worldInfoBefore || "",
+        worldInfoAfter: extraReplacements.worldInfoAfter || "",
+        ...extraReplacements
+    };
+    const customKeys = Object.keys(customReplacements).filter(key => key.startsWith('rag') || key.startsWith('worldInfo'));
+
+    // Extension-specific macros that the native engine doesn't know about
+    // Hidden and system messages are already left out on request
+    const messages = getHistoryMessages(settings);
+    const extensionVars = {
+        lastMessage: () => getLastUserMessage(messages),
+        recentHistory: () => formatMessagesForContext(messages.slice(-10), format),
+        fullHistory: () => formatMessagesForContext(messages, format),
+        chatSummary: () => getChatSummary().text,
+    };
+
+    // 1. Resolve conditionals, against any macro that can appear in the template
+    let result = processConditionals(template, (name) => {
+        if (customKeys.includes(name)) return customReplacements[name];
+        if (extensionVars[name]) return extensionVars[name]();
+        if (/^\w+:/.test(name)) return replaceTemplateVars(`{{${name}}}`, promptMessages, extraReplacements, settings);
+        const value = typeof context?.substituteParams === 'function' ? substitute(`{{${name}}}`) : "";
+        return value === `{{${name}}}` ? "" : value;
+    });
+
+    // 2. Handle custom replacements first (ragResponse, worldInfo)
+    for (const key of customKeys) {
+        result = result.replace(new RegExp(`{{${key}}}`, 'g'), () => customReplacements[key] || "");
+    }
+
+    // 3. Use SillyTavern's native macro substitution if available
+    if (context && typeof context.substituteParams === 'function') {
+        // substituteParams handles standard ST macros: {{scenario}}, {{char}}, {{user}}, {{date}}, etc.
+        result = substitute(result);
+    }
+
+    // 4. Handle extension-specific macros
+    for (const [key, value] of Object.entries(extensionVars)) {
+        if (result.includes(`{{${key}}}`)) {
+            result = result.replace(new RegExp(`{{${key}}}`, 'g'), () => value() || "");
+        }
+    }
+
+    // Handle {{lastNMessages:N}}, {{userMessages:N}} and {{charMessages:N}}
+    result = result.replace(/{{lastNMessages:(\d+)}}/g, (match, n) => {
+        return formatMessagesForContext(messages.slice(-parseInt(n, 10)), format);
+    });
+    result = result.replace(/{{userMessages:(\d+)}}/g, (match, n) => {
+        return formatMessagesForContext(messages.filter(m => m.role === ROLES.USER).slice(-parseInt(n, 10)), format);
+    });
+    result = result.replace(/{{charMessages:(\d+)}}/g, (match, n) => {
+        return formatMessagesForContext(messages.filter(m => m.role === ROLES.ASSISTANT).slice(-parseInt(n, 10)), format);
+    });
+
+    // Handle {{historyTokens:N}}: as many recent messages as fit in N tokens
+    result = result.replace(/{{historyTokens:(\d+)}}/g, (match, n) => {
+        return getHistoryWithinTokens(messages, parseInt(n, 10), format);
+    });
+
+    // Handle {{messages:start:end}} pattern (Python-style slicing)
+    const slicePattern = /{{messages:(-?\d+)(?::(-?\d+))?}}/g;
+    result = result.replace(slicePattern, (match, start, end) => {
+        let startIdx = parseInt(start, 10);
+        const endIdx = end ? parseInt(end, 10) : undefined;
+        if (startIdx < 0 && Math.abs(startIdx) > messages.length) {
+            startIdx = 0;
+        }
+        const sliced = messages.slice(startIdx, endIdx);
+        return formatMessagesForContext(sliced, format);
+    });
+
+    return result;
+}
+
+
+
+/**
+ * Reconstruct messages if they are missing from the request data
+ * This is a fallback for when SillyTavern fails to populate history (e.g. some edge cases)
+ * @param {Object} data - The request data
+ */
+function reconstructMessages(data) {
+    // If messages array is missing or empty, initialize it
+    if (!Array.isArray(data.messages)) {
+        data.messages = [];
+    }
+
+    // Check if we need to reconstruct:
+    // 1. We have global chat history
+    // 2. data.messages seems to lack history (e.g. only system prompts)
+    const context = getContext();
+    const globalChat = context?.chat || [];
+
+    if (globalChat.length === 0) return;
+
+    // Count non-system messages in data.messages
+    const nonSystemCount = data.messages.filter(m => m.role !== ROLES.SYSTEM).length;
+
+    // If we have significantly fewer messages than global chat, something is wrong
+    // (Allow some difference for context shifting/token limits, but 0 vs 8 is a bug)
+    if (nonSystemCount === 0 && globalChat.length > 0) {
+        debugLog("Detected missing chat history in request. Reconstructing from global context...");
+
+        const convertedHistory = convertSillyTavernToOpenAI(globalChat);
+
+        // Append history to existing messages (which are likely system prompts)
+        // We filter out system messages from history to avoid duplication if they are already in data.messages
+        const historyToAdd = convertedHistory.filter(m => m.role !== ROLES.SYSTEM);
+
+        data.messages.push(...historyToAdd);
+
+        debugLog(`Reconstructed ${historyToAdd.length} messages.`);
+    }
+}
+
+// Injections merged into prompt manager identifier messages, kept if World Info is reprocessed
+const identifierMerges = new WeakMap();
+
+/**
+ * Inject RAG context into messages array based on settings
+ * @param {Array} messages - The messages array to inject into
+ * @param {string} content - The content to inject
+ * @param {object} settings - The extension settings
+ * @param {object} run - Run record
+ * @returns {{ index: number, merged: boolean }} - Where the content was placed
+ */
+function injectRagContext(messages, content, settings, run) {
+    const role = settings.injectionRole;
+    const position = settings.injectionPosition;
+    const depth = settings.injectionDepth;
+    const merge = settings.injectionMerge;
+    const side = settings.injectionAnchorSide;
+
+    // Find "start of chat" = index of first non-system message
+    function findStartIndex() {
+        for (let i = 0; i < messages.length; i++) {
+            if (messages[i].role !== ROLES.SYSTEM) {
+                return i;
+            }
+        }
+        return messages.length; // All system or empty
+    }
+
+    // Calculate target index from depth (0 = end, -1 = before last, etc.)
+    function depthToIndex(d) {
+        // depth 0 means insert at end (after last message)
+        // depth -1 means insert before last message
+        // depth -N means insert before Nth-to-last message
+        const idx = messages.length + d;
+        return Math.max(0, Math.min(messages.length, idx));
+    }
+
+    // Find the anchor of "lastUser" / "identifier" (-1 if the prompt doesn't have it)
+    // Anchors don't shift with prefills or post-history messages the way depths do
+    function findAnchorIndex() {
+        if (position === "identifier") {
+            return messages.findIndex(m => m.identifier === settings.injectionIdentifier);
+        }
+        for (let i = messages.length - 1; i >= 0; i--) {
+            if (messages[i].role === ROLES.USER) return i;
+        }
+        return -1;
+    }
+
+    // Determine target index
+    let targetIndex;
+    let anchorIndex = -1;
+    if (position === "start") {
+        targetIndex = findStartIndex();
+    } else if (position === "lastUser" || position === "identifier") {
+        anchorIndex = findAnchorIndex();
+        if (anchorIndex === -1) {
+            traceLog(run, `Anchor ${position === "identifier" ? settings.injectionIdentifier : "last user message"} not found, using depth ${depth}`);
+            targetIndex = depthToIndex(depth);
+        } else {
+            targetIndex = side === "after" ? anchorIndex + 1 : anchorIndex;
+        }
+    } else {
+        targetIndex = depthToIndex(depth);
+    }
+
+    // Merging into a named identifier appends to it, whatever its role
+    if (merge && position === "identifier" && anchorIndex !== -1) {
+        const anchor = messages[anchorIndex];
+        anchor.content += "\n\n" + content;
+        identifierMerges.set(anchor, [...(identifierMerges.get(anchor) || []), content]);
+        traceLog(run, `Merged RAG context into ${settings.injectionIdentifier} at index ${anchorIndex}`);
+        return { index: anchorIndex, merged: true };
+    }
+
+    // Check for merge
+    if (merge && targetIndex > 0 && targetIndex <= messages.length) {
+        // Look at message AT the target position (or just before if at end)
+        const checkIndex = targetIndex < messages.length ? targetIndex : targetIndex - 1;
+        const existingMsg = messages[checkIndex];
+
+        if (existingMsg && existingMsg.role === role) {
+            existingMsg.content += "\n\n" + content;
+            traceLog(run, `Merged RAG context into existing ${role} message at index ${checkIndex}`);
+            return { index: checkIndex, merged: true };
+        }
+    }
+
+    // Insert new message
+    messages.splice(targetIndex, 0, {
+        role: role,
+        content: content,
+    });
+    traceLog(run, `Inserted RAG context as ${role} at index ${targetIndex}`);
+    return { index: targetIndex, merged: false };
+}
+
+/**
+ * Check if RAG processing should run
+ * @param {object} settings - Extension settings
+ * @param {object} data - Request data
+ * @param {{ force?: boolean }} [options] - force skips the trigger rules
+ * @returns {{ shouldRun: boolean, reason?: string }}
+ */
+function shouldRunRag(settings, data, options = {}) {
+    if (!settings.enabled) return { shouldRun: false, reason: 'Extension disabled' };
+    if (isProcessingRag) return { shouldRun: false, reason: 'Already processing' };
+    if (!options.force) {
+        const trigger = checkTriggerRules(settings);
+        if (!trigger.shouldRun) return trigger;
+    }
+    if (!settings.directRetrieval && !settings.ragProfileId) return { shouldRun: false, reason: 'No RAG profile' };
+
+    const preset = getPreset(getSettings().selectedPresetId);
+    if (preset?.profileOnly && preset.profileId) {
+        const currentProfile = getContext().extensionSettings?.connectionManager?.selectedProfile;
+        if (currentProfile !== preset.profileId) {
+            return { shouldRun: false, reason: `Preset only runs with profile ${getProfileName(preset.profileId)}` };
+        }
+    }
+
+    if (settings.useNativeRetrieval && !settings.directRetrieval) {
+        const provider = settings.retrievalProvider;
+        if (provider !== 'googleSearch' && !settings.datastoreId) {
+            return { shouldRun: false, reason: 'No datastore ID' };
+        }
+        if (provider === 'custom' && !settings.customRetrievalJson) {
+            return { shouldRun: false, reason: 'No custom retrieval JSON' };
+        }
+    } else {
+        const backend = RETRIEVAL_BACKENDS[settings.retrievalBackend];
+        if (!backend) {
+            return { shouldRun: false, reason: 'Unknown retrieval backend' };
+        }
+        if (!backend.isConfigured(settings)) {
+            return { shouldRun: false, reason: 'Retrieval backend not configured' };
+        }
+    }
+
+    return { shouldRun: true };
+}
+
+// Setting that enables each generation type; unknown types count as normal
+const TRIGGER_TYPE_KEYS = {
+    normal: "triggerOnNormal",
+    regenerate: "triggerOnRegenerate",
+    swipe: "triggerOnSwipe",
+    continue: "triggerOnContinue",
+    impersonate: "triggerOnImpersonate",
+    quiet: "triggerOnQuiet",
+};
+
+/**
+ * Split a comma-separated list setting
+ * @param {string} value - Setting value
+ * @returns {string[]}
+ */
+function splitList(value) {
+    return String(value || "").split(",").map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Split the trigger keyword setting on commas, keeping commas inside /regex/flags entries
+ * @param {string} value - Setting value
+ * @returns {string[]}
+ */
+function splitKeywords(value) {
+    const text = String(value || "");
+    const keywords = [];
+    let current = "";
+    let inRegex = false;
+    let inClass = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inRegex) {
+            current += char;
+            if (char === "\\" && i + 1 < text.length) {
+                current += text[++i];
+            } else if (char === "[") {
+                inClass = true;
+            } else if (char === "]") {
+                inClass = false;
+            } else if (char === "/" && !inClass) {
+                inRegex = false;
+            }
+        } else if (char === ",") {
+            keywords.push(current);
+            current = "";
+        } else {
+            if (char === "/" && !current.trim()) inRegex = true;
+            current += char;
+        }
+    }
+    keywords.push(current);
+    return keywords.map(k => k.trim()).filter(Boolean);
+}
+
+/**
+ * Check whether a keyword (plain, case-insensitive) or /regex/flags matches the text
+ * @param {string} keyword - Keyword or regex string
+ * @param {string} text - Text to search
+ * @returns {boolean}
+ */
+function matchesKeyword(keyword, text) {
+    const regex = keyword.startsWith("/") ? regexFromString(keyword) : null;
+    if (regex) return regex.test(text);
+    return text.toLowerCase().includes(keyword.toLowerCase());
+}
+
+/**
+ * Check the pipeline's trigger rules against the current generation and chat
+ * @param {Object} settings - Resolved pipeline settings
+ * @returns {{ shouldRun: boolean, reason?: string }}
+ */
+function checkTriggerRules(settings) {
+    const type = currentGeneration?.type || "normal";
+    const typeKey = TRIGGER_TYPE_KEYS[type] ?? TRIGGER_TYPE_KEYS.normal;
+    if (!settings[typeKey]) return { shouldRun: false, reason: `Not triggered on ${type}` };
+
+    const context = getContext();
+    const chat = (context.chat || []).filter(m => !m.is_system);
+
+    const everyNth = Math.max(1, Number(settings.triggerEveryNth) || 1);
+    if (everyNth > 1) {
+        const userCount = chat.filter(m => m.is_user).length;
+        if (userCount % everyNth !== 0) {
+            return { shouldRun: false, reason: `Every ${everyNth} user messages (at ${userCount})` };
+        }
+    }
+
+    const keywords = splitKeywords(settings.triggerKeywords);
+    if (keywords.length > 0) {
+        const lastMessage = chat[chat.length - 1]?.mes || "";
+        if (!keywords.some(k => matchesKeyword(k, lastMessage))) {
+            return { shouldRun: false, reason: 'No trigger keyword in last message' };
+        }
+    }
+
+    const names = splitList(settings.triggerCharacters).map(n => n.toLowerCase());
+    if (names.length > 0) {
+        // In groups, either the group or the member about to speak can match
+        const current = [
+            context.groupId
+                ? context.groups?.find(g => g.id === context.groupId)?.name
+                : context.characters?.[context.characterId]?.name,
+            getActiveSpeaker()?.name,
+        ].filter(Boolean).map(n => n.toLowerCase());
+        if (!current.some(n => names.includes(n))) {
+            return { shouldRun: false, reason: 'Character not in trigger list' };
+        }
+    }
+
+    return { shouldRun: true };
+}
+
+/**
+ * Extract World Info strings from context
+ * @param {Array} messages - Chat messages
+ * @returns {Promise<{ before: string, after: string }>}
+ */
+async function extractWorldInfo(messages) {
+    let worldInfoBefore = "";
+    let worldInfoAfter = "";
+
+    try {
+        const context = getContext();
+        if (context && context.getWorldInfoPrompt && context.getCharacterCardFields) {
+            // Prepare scan data
+            const globalScanData = context.getCharacterCardFields();
+            const scanData = {
+                ...globalScanData,
+                personaDescription: globalScanData.persona,
+                characterDescription: globalScanData.description,
+                characterPersonality: globalScanData.personality,
+                characterDepthPrompt: globalScanData.charDepthPrompt,
+                trigger: 'normal',
+            };
+
+            // Extract content strings for the scan
+            const chatStrings = messages
+                .map(m => {
+                    if (typeof m.content === 'string') return m.content;
+                    if (Array.isArray(m.content)) return m.content.map(c => c.text || '').join('\n');
+                    return '';
+                });
+
+            // Get max context
+            const maxContext = context.chatCompletionSettings?.openai_max_context || 4096;
+
+            // Get World Info - use isDryRun=true to avoid emitting events
+            const wiResult = await context.getWorldInfoPrompt(chatStrings, maxContext, true, scanData);
+
+            worldInfoBefore = wiResult.worldInfoBefore || "";
+            worldInfoAfter = wiResult.worldInfoAfter || "";
+
+            debugLog(`Retrieved World Info: Before=${worldInfoBefore.length} chars, After=${worldInfoAfter.length} chars`);
+        } else {
+            console.warn(DEBUG_PREFIX, "Context or getWorldInfoPrompt not available");
+        }
+    } catch (error) {
+        console.error(DEBUG_PREFIX, "Error retrieving World Info:", error);
+    }
+
+    return { before: worldInfoBefore, after: worldInfoAfter };
+}
+
+/**
+ * Render passages through the per-passage template
+ * Supports: {{text}}, {{source}}, {{score}}, {{rank}}
+ * @param {Array<{ text: string, score: number|null, source: string }>} passages
+ * @param {string} template - Per-passage template
+ * @returns {string}
+ */
+function formatPassages(passages, template) {
+    return renderPassages(passages, template).join("\n");
+}
+
+/**
+ * Render each passage through a template, keeping them apart
+ * @param {Array<{ text: string, score: number|null, source: string }>} passages - Ranked passages
+ * @param {string} template - See formatPassages
+ * @returns {string[]}
+ */
+function renderPassages(passages, template) {
+    return passages.map((passage, i) => template
+        .replace(/{{text}}/g, () => passage.text)
+        .replace(/{{source}}/g, () => passage.source || "")
+        .replace(/{{score}}/g, () => passage.score === null ? "" : String(passage.score))
+        .replace(/{{rank}}/g, () => String(i + 1))
+    );
+}
+
+/**
+ * Direct retrieval: search the backend with a rendered query and format the
+ * top passages, without a RAG model round-trip
+ * @param {object} settings - Extension settings
+ * @param {Array} messages - Chat messages
+ * @param {object} worldInfo - World Info strings {before, after}
+ * @param {object} run - Run record; receives the rendered query
+ * @param {{ query?: string, signal?: AbortSignal }} [options] - Use this query instead of rendering the template
+ * @returns {Promise<string>} - Formatted passages
+ */
+async function runDirectRetrieval(settings, messages, worldInfo, run, options = {}) {
+    const query = (options.query ?? replaceTemplateVars(settings.directQueryTemplate, messages, {
+        worldInfoBefore: worldInfo.before,
+        worldInfoAfter: worldInfo.after
+    }, settings)).trim();
+    run.query = query;
+
+    if (!query) {
+        traceLog(run, "Direct retrieval query is empty, skipping");
+        return "";
+    }
+
+    // A query picked by the user (review retry) is searched as-is
+    const expanded = settings.queryExpansion && options.query === undefined
+        ? await expandQueries(settings, messages, worldInfo, run, options.signal)
+        : [];
+
+    let passages;
+    if (expanded.length > 0) {
+        passages = await searchQueries(settings, [query, ...expanded], settings.directTopK, run, options.signal);
+    } else {
+        passages = await searchBackend(settings, { query, max_results: settings.directTopK }, run, options.signal);
+    }
+    traceLog(run, `Direct retrieval returned ${passages.length} passages`);
+
+    const top = passages.slice(0, settings.directTopK);
+    run.sources = getPassageSources(top);
+    // Kept apart for the token budget, which drops whole passages (not stored with the message)
+    run.passages = renderPassages(top, settings.directPassageTemplate || "{{text}}");
+    return run.passages.join("\n");
+}
+
+// Reciprocal rank fusion constant: higher values flatten the difference between ranks
+const RRF_K = 60;
+
+/**
+ * Ask the expansion model for search queries about the conversation
+ * Failures are logged and yield no queries, so retrieval can go on without expansion
+ * @param {object} settings - Pipeline settings
+ * @param {Array} messages - Chat messages
+ * @param {object} worldInfo - World Info strings {before, after}
+ * @param {object} run - Run record; receives the queries in run.expandedQueries
+ * @param {AbortSignal} [signal] - Aborts the request
+ * @returns {Promise<string[]>}
+ */
+async function expandQueries(settings, messages, worldInfo, run, signal) {
+    const profileId = settings.expansionProfileId || settings.ragProfileId;
+    if (!profileId) {
+        traceLog(run, "No query expansion profile, skipping expansion");
+        return [];
+    }
+
+    const count = Math.max(1, Number(settings.expansionCount) || 1);
+    const prompt = replaceTemplateVars(settings.expansionPrompt.replace(/{{count}}/g, String(count)), messages, {
+        worldInfoBefore: worldInfo.before,
+        worldInfoAfter: worldInfo.after
+    }, settings);
+
+    try {
+        const result = await ConnectionManagerRequestService.sendRequest(
+            profileId,
+            [{ role: ROLES.USER, content: prompt }],
+            Math.max(100, count * 50),
+            {
+                stream: false,
+                extractData: true,
+                signal: signal,
+            },
+        );
+
+        // @ts-ignore
+        const text = (typeof result === 'object' && result !== null && 'content' in result) ? String(result.content) : "";
+        const seen = new Set();
+        run.expandedQueries = text.split("\n")
+            // Models like to number, bullet or quote their lists anyway
+            .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, "").replace(/^["']|["']$/g, "").trim())
+            .filter(line => line && !seen.has(line.toLowerCase()) && seen.add(line.toLowerCase()))
+            .slice(0, count);
+    } catch (error) {
+        if (signal?.aborted) throw error;
+        console.warn(DEBUG_PREFIX, `[${settings.name}] Query expansion failed, continuing without it:`, error);
+        run.errors.push(`Query expansion: ${error.message}`);
+        return [];
+    }
+
+    traceLog(run, "Expanded queries:", run.expandedQueries);
+    return run.expandedQueries;
+}
+
+/**
+ * Merge ranked passage lists with reciprocal rank fusion, de-duplicating by text
+ * The fused score replaces the backend score
+ * @param {Array<Array<{ text: string, score: number|null, source: string }>>} rankings - Ranked lists, best first
+ * @param {number} limit - Max passages to return
+ * @returns {Array<{ text: string, score: number|null, source: string }>}
+ */
+function fuseRankings(rankings, limit) {
+    const fused = new Map();
+    for (const passages of rankings) {
+        passages.forEach((passage, rank) => {
+            const key = passage.text.trim().toLowerCase();
+            const entry = fused.get(key) ?? { passage, score: 0 };
+            entry.score += 1 / (RRF_K + rank + 1);
+            fused.set(key, entry);
+        });
+    }
+
+    return [...fused.values()]
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ passage, score }) => ({ ...passage, score: Number(score.toFixed(4)) }));
+}
+
+/**
+ * Search the backend with several queries in parallel and fuse the results
+ * Each search is recorded like a tool call, so it shows up in the stored context
+ * @param {object} settings - Pipeline settings
+ * @param {string[]} queries - Search queries
+ * @param {number} limit - Max passages per query, and in the fused result
+ * @param {object} run - Run record
+ * @param {AbortSignal} [signal] - Aborts the searches
+ * @returns {Promise<Array<{ text: string, score: number|null, source: string }>>}
+ */
+async function searchQueries(settings, queries, limit, run, signal) {
+    const searches = await Promise.all(queries.map(async query => {
+        try {
+            return { query, results: await searchBackend(settings, { query, max_results: limit }, run, signal) };
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            console.error(DEBUG_PREFIX, `Search for "${query}" failed:`, error);
+            return { query, results: [], error: error.message };
+        }
+    }));
+
+    for (const { query, results, error } of searches) {
+        run.toolCalls.push({
+            name: settings.toolName,
+            arguments: { query, max_results: limit },
+            result: JSON.stringify(error ? { error } : { results: results.slice(0, limit) }),
+        });
+    }
+
+    return fuseRankings(searches.map(s => s.results.slice(0, limit)), limit);
+}
+
+/**
+ * Answer with the RAG model from pre-searched passages instead of a tool loop
+ * @param {object} settings - Pipeline settings
+ * @param {Array} ragMessages - RAG conversation; the passages are appended to the last message
+ * @param {Array} passages - Fused passages
+ * @param {AbortSignal} [signal] - Aborts the request
+ * @returns {Promise<string>} - RAG response content
+ */
+async function sendSynthesisRequest(settings, ragMessages, passages, signal) {
+    const last = ragMessages[ragMessages.length - 1];
+    if (passages.length > 0) {
+        last.content += `\n\nSearch results:\n${formatPassages(passages, "[{{rank}}] ({{source}}) {{text}}")}`;
+    }
+
+    const result = await ConnectionManagerRequestService.sendRequest(
+        settings.ragProfileId,
+        ragMessages,
+        settings.maxTokens,
+        {
+            stream: false,
+            extractData: false,
+            signal: signal,
+        },
+        {
+            vertexai_auth_mode: 'full',
+            ...getStructuredOutputPayload(settings),
+        }
+    );
+
+    return extractResponseText(result);
+}
+
+// RAG response cache, keyed on everything that determines the RAG request
+// Entries: key -> { key, value, timestamp }; Map order doubles as LRU order
+const ragCache = new Map();
+
+const ragCacheStore = localforage.createInstance({
+    name: "SillyTavern_RagContextInjector",
+    storeName: "response_cache",
+});
+
+let ragCacheLoading = null;
+
+/**
+ * Hash the active backend's settings so a config change misses the cache
+ * @param {object} settings - Pipeline settings
+ * @returns {string}
+ */
+function getBackendConfigHash(settings) {
+    const keys = [...(RETRIEVAL_BACKENDS[settings.retrievalBackend]?.settingKeys || []), "minPassageScore"];
+    return String(getStringHash(JSON.stringify(keys.map(key => settings[key]))));
+}
+
+// Pipeline settings that change the RAG request or its result, besides the rendered prompts and tool
+const RAG_CACHE_SETTING_KEYS = ["ragProfileId", "maxTokens", "maxToolRounds", "toolChoice", "maxResults"];
+const EXPANSION_CACHE_SETTING_KEYS = ["expansionProfileId", "expansionCount", "expansionPrompt"];
+
+/**
+ * Build the cache key for a RAG request
+ * @param {object} settings - Pipeline settings
+ * @param {string} systemPrompt - Rendered system prompt
+ * @param {string} userPrompt - Rendered user prompt
+ * @param {object} tool - Tool definition
+ * @returns {{ hash: string, key: string }}
+ */
+function getRagCacheKey(settings, systemPrompt, userPrompt, tool) {
+    // Function tools are answered by the backend, so it and its settings are part of the key too
+    const backend = settings.useNativeRetrieval ? "" : `${settings.retrievalBackend}:${getBackendConfigHash(settings)}`;
+    const expansion = settings.queryExpansion && !settings.useNativeRetrieval
+        ? EXPANSION_CACHE_SETTING_KEYS.map(key => settings[key])
+        : null;
+    const key = JSON.stringify([
+        systemPrompt,
+        userPrompt,
+        tool,
+        backend,
+        expansion,
+        RAG_CACHE_SETTING_KEYS.map(key => settings[key]),
+        getStructuredOutputPayload(settings),
+    ]);
+    return { hash: String(getStringHash(key)), key };
+}
+
+/**
+ * Load persisted cache entries into memory (once)
+ * @param {object} settings - Extension settings
+ */
+async function loadRagCache(settings) {
+    if (!settings.cachePersist) return;
+
+    ragCacheLoading ??= ragCacheStore.iterate((entry, hash) => {
+        if (!ragCache.has(hash)) ragCache.set(hash, entry);
+    }).catch(error => console.error(DEBUG_PREFIX, "Failed to load response cache:", error));
+
+    await ragCacheLoading;
+}
+
+/**
+ * Get a cached RAG response if present and not expired
+ * @param {object} settings - Pipeline settings
+ * @param {{ hash: string, key: string }} cacheKey
+ * @returns {Promise<{ value: string, sources?: Array, citations?: Array }|null>} - Cache entry
+ */
+async function getCachedRagResponse(settings, cacheKey) {
+    await loadRagCache(settings);
+
+    const entry = ragCache.get(cacheKey.hash);
+    if (!entry) return null;
+
+    // Full key comparison guards against hash collisions
+    const expired = Date.now() - entry.timestamp > settings.cacheTtlMinutes * 60 * 1000;
+    if (expired || entry.key !== cacheKey.key) {
+        ragCache.delete(cacheKey.hash);
+        if (settings.cachePersist) {
+            try {
+                await ragCacheStore.removeItem(cacheKey.hash);
+            } catch (error) {
+                console.error(DEBUG_PREFIX, "Failed to remove a stale cache entry:", error);
+            }
+        }
+        return null;
+    }
+
+    // Move to the most recently used position
+    ragCache.delete(cacheKey.hash);
+    ragCache.set(cacheKey.hash, entry);
+    return entry;
+}
+
+/**
+ * Store a RAG response, evicting the least recently used entries over the limit
+ * @param {object} settings - Pipeline settings
+ * @param {{ hash: string, key: string }} cacheKey
+ * @param {string} value - RAG response
+ * @param {{ sources?: Array, citations?: Array }} [grounding] - Sources and citations of the response
+ */
+async function setCachedRagResponse(settings, cacheKey, value, grounding = {}) {
+    const entry = {
+        key: cacheKey.key,
+        value: value,
+        sources: grounding.sources || [],
+        citations: grounding.citations || [],
+        timestamp: Date.now(),
+    };
+    ragCache.delete(cacheKey.hash);
+    ragCache.set(cacheKey.hash, entry);
+
+    const evicted = [];
+    while (ragCache.size > Math.max(1, settings.cacheMaxEntries)) {
+        const oldest = ragCache.keys().next().value;
+        ragCache.delete(oldest);
+        evicted.push(oldest);
+    }
+
+    if (settings.cachePersist) {
+        try {
+            await ragCacheStore.setItem(cacheKey.hash, entry);
+            await Promise.all(evicted.map(hash => ragCacheStore.removeItem(hash)));
+        } catch (error) {
+            console.error(DEBUG_PREFIX, "Failed to persist response cache:", error);
+        }
+    }
+
+    updateCacheStatus();
+}
+
+/**
+ * Clear the in-memory and persisted response cache
+ */
+async function clearRagCache() {
+    ragCache.clear();
+    updateCacheStatus();
+    try {
+        await ragCacheStore.clear();
+        toastr.success("RAG response cache cleared.", "RAG Context Injector");
+    } catch (error) {
+        console.error(DEBUG_PREFIX, "Failed to clear the persisted response cache:", error);
+        toastr.error(`Could not clear the saved response cache: ${error.message}`, "RAG Context Injector");
+    }
+}
+
+/**
+ * Show the number of cached responses in the settings panel
+ */
+function updateCacheStatus() {
+    $("#rag_cache_status").text(`${ragCache.size} cached response(s)`);
+}
+
+/**
+ * Send RAG request and return response
+ * @param {object} settings - Extension settings
+ * @param {Array} messages - Chat messages
+ * @param {object} worldInfo - World Info strings {before, after}
+ * @param {object} run - Run record; receives the rendered query and tool calls
+ * @param {{ query?: string, bypassCache?: boolean, signal?: AbortSignal }} [options] - Use this query instead of rendering the template
+ * @returns {Promise<string>} - RAG response content
+ */
+async function sendRagRequest(settings, messages, worldInfo, run, options = {}) {
+    // Build the RAG query
+    const userPrompt = options.query ?? replaceTemplateVars(settings.ragUserPromptTemplate, messages, {
+        worldInfoBefore: worldInfo.before,
+        worldInfoAfter: worldInfo.after
+    }, settings);
+
+    // Build messages for RAG request
+    let systemPrompt = replaceTemplateVars(settings.ragSystemPrompt, messages, {
+        worldInfoBefore: worldInfo.before,
+        worldInfoAfter: worldInfo.after
+    }, settings);
+    if (settings.structuredOutput) {
+        systemPrompt = `${systemPrompt}\n\n${STRUCTURED_OUTPUT_INSTRUCTION}\n\n${settings.structuredSchema}`.trim();
+    } else if (settings.relevanceJson) {
+        systemPrompt = `${systemPrompt}\n\n${RELEVANCE_JSON_INSTRUCTION}`.trim();
+    }
+
+    const ragMessages = [
+        { role: ROLES.SYSTEM, content: systemPrompt },
+        { role: ROLES.USER, content: userPrompt }
+    ];
+    run.query = userPrompt;
+    run.trace.prompts = { system: systemPrompt, user: userPrompt };
+
+    // Build the tool to include
+    const tool = settings.useNativeRetrieval
+        ? buildRetrievalTool(settings)
+        : buildFunctionTool(settings);
+
+    run.trace.tool = tool;
+    if (!tool) {
+        traceLog(run, "Failed to build tool, skipping");
+        return "";
+    }
+
+    // Swipes, regenerations and continues often render the exact same request
+    const cacheKey = getRagCacheKey(settings, systemPrompt, userPrompt, tool);
+    if (settings.cacheEnabled && !settings.cacheBypass && !options.bypassCache) {
+        const cached = await getCachedRagResponse(settings, cacheKey);
+        if (cached !== null) {
+            traceLog(run, "Using cached RAG response");
+            run.cached = true;
+            run.sources = cached.sources || [];
+            run.citations = cached.citations || [];
+            return cached.value;
+        }
+    }
+
+    traceLog(run, `Sending RAG request to profile ${getProfileName(settings.ragProfileId)}`);
+
+    // Function tools are answered locally, round by round, unless the queries
+    // were expanded and searched up front
+    const expanded = settings.queryExpansion && !settings.useNativeRetrieval
+        ? await expandQueries(settings, messages, worldInfo, run, options.signal)
+        : [];
+
+    let response;
+    if (settings.useNativeRetrieval) {
+        response = await sendNativeRetrievalRequest(settings, ragMessages, tool, run, options.signal);
+    } else if (expanded.length > 0) {
+        const passages = await searchQueries(settings, expanded, settings.maxResults, run, options.signal);
+        response = await sendSynthesisRequest(settings, ragMessages, passages, options.signal);
+    } else {
+        response = await runToolCallLoop(settings, ragMessages, tool, run, options.signal);
+    }
+
+    if (!settings.useNativeRetrieval) {
+        run.sources = getToolCallSources(run.toolCalls);
+    }
+
+    if (settings.cacheEnabled && response) {
+        await setCachedRagResponse(settings, cacheKey, response, run);
+    }
+
+    return response;
+}
+
+/**
+ * Send a single RAG request with a native retrieval tool
+ * The provider runs the retrieval server-side, so there is no tool loop
+ * @param {object} settings - Pipeline settings
+ * @param {Array} ragMessages - RAG conversation
+ * @param {object} tool - Native retrieval tool
+ * @param {object} run - Run record; receives the grounding sources and citations
+ * @param {AbortSignal} [signal] - Aborts the request
+ * @returns {Promise<string>} - RAG response content
+ */
+async function sendNativeRetrievalRequest(settings, ragMessages, tool, run, signal) {
+    // Send request to the RAG profile
+    const result = await ConnectionManagerRequestService.sendRequest(
+        settings.ragProfileId,
+        ragMessages,
+        settings.maxTokens,
+        {
+            stream: false,
+            // Raw response, to keep the grounding metadata
+            extractData: false,
+            signal: signal,
+        },
+        {
+            tools: [tool],
+            tool_choice: settings.toolChoice === "required" ? "required" : "auto",
+            // Vertex AI auth settings - uses full mode with service account
+            vertexai_auth_mode: 'full',
+        }
+    );
+
+    run.trace.rawResponse = result;
+    addTraceUsage(run, result);
+    traceLog(run, "RAG response received");
+
+    const grounding = extractGrounding(result);
+    run.sources = grounding.sources;
+    run.citations = grounding.citations;
+
+    return extractResponseText(result);
+}
+
+/**
+ * Reprocess World Info with new context
+ * @param {Array} messages - Chat messages (mutated in-place)
+ */
+async function reprocessWorldInfo(messages) {
+    debugLog("Reprocessing World Info with new context...");
+    const context = getContext();
+
+    if (!context || !context.getWorldInfoPrompt || !context.getCharacterCardFields) {
+        console.warn(DEBUG_PREFIX, "Context functions missing, skipping World Info reprocessing");
+        return;
+    }
+
+    try {
         // Find indices of existing World Info messages
         let wiBeforeIndex = -1;
         let wiAfterIndex = -1;
 
-        for (let i = 0; i < messages.length; i++) {
-            if (messages[i].identifier === WORLD_INFO.BEFORE) wiBeforeIndex = i;
-            if (messages[i].identifier === WORLD_INFO.AFTER) wiAfterIndex = i;
+        for (let i = 0; i < messages.length; i++) {
+            if (messages[i].identifier === WORLD_INFO.BEFORE) wiBeforeIndex = i;
+            if (messages[i].identifier === WORLD_INFO.AFTER) wiAfterIndex = i;
+        }
+
+        // Capture the existing roles before we modify anything (default to ROLES.SYSTEM if not found)
+        const worldInfoBeforeRole = wiBeforeIndex !== -1 ? messages[wiBeforeIndex].role : ROLES.SYSTEM;
+        const worldInfoAfterRole = wiAfterIndex !== -1 ? messages[wiAfterIndex].role : ROLES.SYSTEM;
+
+        // Prepare for scan
+        const globalScanData = context.getCharacterCardFields();
+        const scanData = {
+            ...globalScanData,
+            personaDescription: globalScanData.persona,
+            characterDescription: globalScanData.description,
+            characterPersonality: globalScanData.personality,
+            characterDepthPrompt: globalScanData.charDepthPrompt,
+            trigger: 'normal',
+        };
+
+        // Extract content strings for the scan
+        // IMPORTANT: Exclude existing WI from the scan to prevent self-triggering loops
+        const chatStrings = messages
+            .filter(m => m.identifier !== WORLD_INFO.BEFORE && m.identifier !== WORLD_INFO.AFTER)
+            .map(m => {
+                if (typeof m.content === 'string') return m.content;
+                if (Array.isArray(m.content)) return m.content.map(c => c.text || '').join('\n');
+                return '';
+            });
+
+        // Get max context
+        const maxContext = context.chatCompletionSettings?.openai_max_context || 4096;
+
+        // Re-generate WI
+        const wiResult = await context.getWorldInfoPrompt(chatStrings, maxContext, false, scanData);
+
+        // Update our local strings
+        const worldInfoBefore = wiResult.worldInfoBefore || "";
+        const worldInfoAfter = wiResult.worldInfoAfter || "";
+
+        debugLog(`Regenerated World Info: Before=${worldInfoBefore.length}, After=${worldInfoAfter.length}`);
+
+        // Update messages IN-PLACE to preserve order
+
+        // Update or Insert 'worldInfoAfter'
+        // RAG context merged into them is kept
+        const withMerges = (index, content) => [content, ...(identifierMerges.get(messages[index]) || [])].filter(Boolean).join("\n\n");
+        const worldInfoAfterContent = wiAfterIndex !== -1 ? withMerges(wiAfterIndex, worldInfoAfter) : worldInfoAfter;
+        const worldInfoBeforeContent = wiBeforeIndex !== -1 ? withMerges(wiBeforeIndex, worldInfoBefore) : worldInfoBefore;
+
+        if (wiAfterIndex !== -1) {
+            if (worldInfoAfterContent) {
+                messages[wiAfterIndex].content = worldInfoAfterContent;
+                messages[wiAfterIndex].role = worldInfoAfterRole; // Use retained role
+            } else {
+                messages.splice(wiAfterIndex, 1);
+                // Adjust beforeIndex if it was after the spliced element
+                if (wiBeforeIndex > wiAfterIndex) wiBeforeIndex--;
+            }
+        } else if (worldInfoAfter) {
+            messages.push({
+                role: worldInfoAfterRole,
+                content: worldInfoAfter,
+                identifier: WORLD_INFO.AFTER
+            });
+        }
+
+        // Update or Insert 'worldInfoBefore'
+        if (wiBeforeIndex !== -1) {
+            if (worldInfoBeforeContent) {
+                messages[wiBeforeIndex].content = worldInfoBeforeContent;
+                messages[wiBeforeIndex].role = worldInfoBeforeRole; // Use retained role
+            } else {
+                messages.splice(wiBeforeIndex, 1);
+            }
+        } else if (worldInfoBefore) {
+            messages.unshift({
+                role: worldInfoBeforeRole,
+                content: worldInfoBefore,
+                identifier: WORLD_INFO.BEFORE
+            });
+        }
+
+    } catch (e) {
+        console.error(DEBUG_PREFIX, "Error reprocessing World Info:", e);
+    }
+}
+
+/**
+ * Give the main model a pipeline's retrieval tool (skipping duplicates)
+ * @param {object} data - The request payload being prepared
+ * @param {object} settings - Pipeline settings
+ * @param {object} run - Run record
+ */
+function addMainModelTool(data, settings, run) {
+    const mainTool = settings.useNativeRetrieval
+        ? buildRetrievalTool(settings)
+        : buildFunctionTool(settings);
+
+    if (!mainTool) return;
+
+    if (!data.tools) data.tools = [];
+    const serialized = JSON.stringify(mainTool);
+    if (!data.tools.some(t => JSON.stringify(t) === serialized)) {
+        data.tools.push(mainTool);
+    }
+
+    if (settings.mainModelToolChoice !== "none") {
+        data.tool_choice = settings.mainModelToolChoice;
+    }
+    traceLog(run, "Added tool to main model request");
+}
+
+/**
+ * Look up a connection profile's name
+ * @param {string} profileId - Connection profile ID
+ * @returns {string}
+ */
+function getProfileName(profileId) {
+    const profiles = getContext().extensionSettings?.connectionManager?.profiles || [];
+    return profiles.find(p => p.id === profileId)?.name || "";
+}
+
+/**
+ * Count tokens with the main API's tokenizer
+ * @param {string} text - Text to count
+ * @returns {Promise<number>}
+ */
+async function countTokens(text) {
+    if (!text) return 0;
+    return getContext().getTokenCountAsync(text);
+}
+
+/**
+ * Get the token budget of a pipeline's injected content
+ * @param {object} settings - Pipeline settings
+ * @returns {number} - Max tokens, 0 if unlimited
+ */
+function getTokenBudget(settings) {
+    const limits = [];
+    if (settings.tokenBudget > 0) {
+        limits.push(settings.tokenBudget);
+    }
+
+    const maxContext = Number(getContext().chatCompletionSettings?.openai_max_context);
+    if (settings.tokenBudgetPercent > 0 && maxContext > 0) {
+        limits.push(Math.floor(maxContext * settings.tokenBudgetPercent / 100));
+    }
+
+    return limits.length ? Math.min(...limits) : 0;
+}
+
+/**
+ * Cut text down to a token limit, at a word boundary where possible
+ * @param {string} text - Text to truncate
+ * @param {number} limit - Max tokens
+ * @returns {Promise<string>}
+ */
+async function truncateToTokens(text, limit) {
+    if (limit <= 0) return "";
+
+    let tokens = await countTokens(text);
+    // Estimate the cut from the chars-per-token ratio, then tighten until it fits
+    for (let attempt = 0; tokens > limit && attempt < 8; attempt++) {
+        let cut = Math.floor(text.length * (limit / tokens) * 0.95);
+        const space = text.lastIndexOf(" ", cut);
+        if (space > cut * 0.8) cut = space;
+        text = text.slice(0, cut).trimEnd();
+        tokens = await countTokens(text);
+    }
+
+    return tokens > limit ? "" : text;
+}
+
+/**
+ * Drop passages from the end until the text fits the limit
+ * Direct retrieval's ranked passages are dropped whole, worst first. Other text (a RAG model's
+ * answer) has no passages, so its last paragraphs (or lines, if there are no blank lines) go instead
+ * @param {string} text - Retrieved content
+ * @param {number} limit - Max tokens
+ * @param {string[]} [ranked] - Rendered passages, best first, if the text is made of them
+ * @returns {Promise<string>}
+ */
+async function dropPassagesToTokens(text, limit, ranked) {
+    const whole = ranked?.length && ranked.join("\n") === text;
+    const separator = whole ? "\n" : (/\n\s*\n/.test(text) ? "\n\n" : "\n");
+    const passages = whole ? [...ranked] : text.split(separator === "\n\n" ? /\n\s*\n/ : "\n");
+
+    while (passages.length > 1 && await countTokens(passages.join(separator)) > limit) {
+        passages.pop();
+    }
+
+    return passages.join(separator);
+}
+
+/**
+ * Ask a model to condense the text to the limit
+ * @param {object} settings - Pipeline settings
+ * @param {string} text - Retrieved content
+ * @param {number} limit - Max tokens
+ * @param {AbortSignal} [signal] - Aborts the request
+ * @returns {Promise<string>}
+ */
+async function condenseToTokens(settings, text, limit, signal) {
+    const profileId = settings.condenseProfileId || settings.ragProfileId;
+    if (!profileId) throw new Error("No condense profile");
+
+    const result = await ConnectionManagerRequestService.sendRequest(
+        profileId,
+        [
+            { role: ROLES.SYSTEM, content: settings.condensePrompt.replace(/{{budget}}/g, String(limit)) },
+            { role: ROLES.USER, content: text },
+        ],
+        limit,
+        {
+            stream: false,
+            extractData: true,
+            signal: signal,
+        },
+    );
+
+    // @ts-ignore
+    return (typeof result === 'object' && result !== null && 'content' in result) ? String(result.content).trim() : "";
+}
+
+/**
+ * Fit retrieved content into a token limit using the pipeline's budget strategy
+ * Anything still over the limit afterwards is hard-truncated
+ * @param {object} settings - Pipeline settings
+ * @param {string} text - Retrieved content
+ * @param {number} limit - Max tokens
+ * @param {object} run - Run record
+ * @param {AbortSignal} [signal] - Aborts a condense request
+ * @param {string[]} [passages] - Ranked passages the text is made of, for dropPassages
+ * @returns {Promise<string>}
+ */
+async function fitToTokenBudget(settings, text, limit, run, signal, passages) {
+    if (await countTokens(text) <= limit) return text;
+    traceLog(run, `Content over budget of ${limit} tokens, applying strategy:`, settings.budgetStrategy);
+
+    if (settings.budgetStrategy === "dropPassages") {
+        text = await dropPassagesToTokens(text, limit, passages);
+    } else if (settings.budgetStrategy === "condense") {
+        try {
+            text = await condenseToTokens(settings, text, limit, signal) || text;
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            console.warn(DEBUG_PREFIX, `[${settings.name}] Condensing failed, truncating instead:`, error);
+        }
+    }
+
+    return truncateToTokens(text, limit);
+}
+
+/**
+ * Warn if the prompt no longer fits the main model's context after injection
+ * @param {object} data - Chat completion request data
+ */
+async function checkContextOverflow(data) {
+    const oai = getContext().chatCompletionSettings;
+    const maxContext = Number(oai?.openai_max_context);
+    if (!(maxContext > 0)) return;
+
+    const text = data.messages.map(m => typeof m.content === "string"
+        ? m.content
+        : (m.content || []).map(part => part.text || "").join("\n")).join("\n");
+    const promptTokens = await countTokens(text);
+    const available = maxContext - Number(data.max_tokens ?? oai.openai_max_tokens ?? 0);
+
+    if (promptTokens > available) {
+        toastr.warning(`The prompt with RAG context is about ${promptTokens} tokens, over the ${available} available. The model may truncate or reject it.`, "RAG Context Injector");
+    }
+}
+
+/**
+ * Wait, unless aborted first
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Rejects the wait with the abort reason
+ * @returns {Promise<void>}
+ */
+function waitFor(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener("abort", () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        }, { once: true });
+    });
+}
+
+/**
+ * Run an attempt that is aborted on timeout, or when the parent signal aborts
+ * Stops waiting even if the attempt ignores its signal, so a hung request can't block the generation
+ * @param {(signal: AbortSignal) => Promise<any>} attempt - Attempt to run
+ * @param {number} timeoutMs - Timeout, 0 for none
+ * @param {AbortSignal} [signal] - Parent signal
+ * @returns {Promise<any>}
+ */
+async function runWithTimeout(attempt, timeoutMs, signal) {
+    const controller = new AbortController();
+    const abort = () => controller.abort(signal.reason);
+    if (signal?.aborted) {
+        abort();
+    } else {
+        signal?.addEventListener("abort", abort, { once: true });
+    }
+
+    const timer = timeoutMs > 0
+        ? setTimeout(() => controller.abort(new DOMException(`Timed out after ${timeoutMs / 1000} s`, "TimeoutError")), timeoutMs)
+        : null;
+    const aborted = new Promise((_, reject) => {
+        if (controller.signal.aborted) reject(controller.signal.reason);
+        controller.signal.addEventListener("abort", () => reject(controller.signal.reason), { once: true });
+    });
+
+    try {
+        const pending = attempt(controller.signal);
+        pending.catch(() => { });
+        return await Promise.race([pending, aborted]);
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", abort);
+    }
+}
+
+/**
+ * Check if an error is worth retrying: timeouts, network errors, rate limits (429) and server errors (5xx)
+ * Connection Manager errors carry no status, so it is read from the message
+ * @param {Error} error - Failed attempt's error
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+    if (error?.name === "TimeoutError") return true;
+    if (error instanceof TypeError && /fetch|network|load failed/i.test(error.message)) return true;
+
+    const status = Number(error?.status ?? error?.cause?.status)
+        || Number(String(error?.message).match(/\b(?:status|code|error|returned)\D{0,3}(\d{3})\b/i)?.[1]);
+    if (status) return status === 408 || status === 429 || status >= 500;
+
+    return /too many requests|rate.?limit|overloaded|unavailable|bad gateway|gateway timeout|internal server error|ECONNRESET|socket hang up/i
+        .test(String(error?.message));
+}
+
+/**
+ * Run an attempt with the pipeline's timeout, retrying transient errors with exponential backoff
+ * @param {object} settings - Pipeline settings
+ * @param {(signal: AbortSignal) => Promise<any>} attempt - Attempt to run
+ * @param {object} run - Run record; failed attempts are added to run.errors
+ * @param {AbortSignal} [signal] - Aborts all attempts (no retries after that)
+ * @returns {Promise<any>}
+ */
+async function runWithRetries(settings, attempt, run, signal) {
+    const retries = Math.max(0, Number(settings.retryCount) || 0);
+    const timeoutMs = Math.max(0, Number(settings.requestTimeoutSeconds) || 0) * 1000;
+
+    for (let i = 0; ; i++) {
+        try {
+            return await runWithTimeout(attempt, timeoutMs, signal);
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            run.errors.push(error.message);
+            if (i >= retries || !isTransientError(error)) throw error;
+
+            const delay = Math.max(0, Number(settings.retryDelayMs) || 0) * 2 ** i;
+            console.warn(DEBUG_PREFIX, `[${settings.name}] Attempt ${i + 1} failed, retrying in ${delay} ms:`, error);
+            await waitFor(delay, signal);
+        }
+    }
+}
+
+/**
+ * Resolve the pipeline's fallback profile names to IDs
+ * @param {object} settings - Pipeline settings
+ * @param {object} run - Run record
+ * @returns {string[]}
+ */
+function getFallbackProfileIds(settings, run) {
+    const profiles = getContext().extensionSettings?.connectionManager?.profiles || [];
+    return splitList(settings.fallbackProfiles).map(name => {
+        const profile = profiles.find(p => p.name.toLowerCase() === name.toLowerCase());
+        if (!profile) traceLog(run, "Fallback profile not found:", name);
+        return profile?.id;
+    }).filter(id => id && id !== settings.ragProfileId);
+}
+
+/**
+ * Retrieve with retries, then the fallback profiles, then (optionally) direct retrieval
+ * @param {object} settings - Pipeline settings
+ * @param {Array} messages - Chat messages
+ * @param {object} worldInfo - World Info strings {before, after}
+ * @param {object} run - Run record; run.degraded is set if a fallback answered
+ * @param {{ query?: string, bypassCache?: boolean, signal?: AbortSignal }} options - Retrieval options
+ * @returns {Promise<string>} - RAG response content
+ */
+async function retrieveWithFallbacks(settings, messages, worldInfo, run, options) {
+    const attempt = (candidate) => runWithRetries(candidate, (signal) => {
+        run.toolCalls = [];
+        run.expandedQueries = [];
+        run.sources = [];
+        run.citations = [];
+        return candidate.directRetrieval
+            ? runDirectRetrieval(candidate, messages, worldInfo, run, { ...options, signal })
+            : sendRagRequest(candidate, messages, worldInfo, run, { ...options, signal });
+    }, run, options.signal);
+
+    if (settings.directRetrieval) {
+        return attempt(settings);
+    }
+
+    let lastError;
+    for (const profileId of [settings.ragProfileId, ...getFallbackProfileIds(settings, run)]) {
+        try {
+            const response = await attempt({ ...settings, ragProfileId: profileId });
+            if (profileId !== settings.ragProfileId) {
+                run.profileId = profileId;
+                run.profileName = getProfileName(profileId);
+                run.degraded = `fallback profile ${run.profileName}`;
+            }
+            return response;
+        } catch (error) {
+            if (options.signal?.aborted) throw error;
+            console.warn(DEBUG_PREFIX, `[${settings.name}] Profile ${getProfileName(profileId)} failed:`, error);
+            lastError = error;
+        }
+    }
+
+    const backend = RETRIEVAL_BACKENDS[settings.retrievalBackend];
+    if (settings.fallbackToDirect && backend?.isConfigured(settings)) {
+        const response = await attempt({ ...settings, directRetrieval: true });
+        run.mode = "direct";
+        run.profileId = "";
+        run.profileName = "";
+        run.degraded = "direct retrieval";
+        return response;
+    }
+
+    throw lastError;
+}
+
+// Appended to the RAG system prompt when the pipeline asks for a relevance-scored JSON response
+const RELEVANCE_JSON_INSTRUCTION = 'When you are done searching, reply with a single JSON object and nothing else: {"found": true, "relevance": 0.8, "context": "..."}. Set "found" to false if the search turned up nothing relevant to the conversation. "relevance" is how relevant your findings are, from 0 to 1. "context" is your answer, written as you would otherwise have written it.';
+
+/**
+ * Parse a relevance-scored JSON response, tolerating code fences and text around it
+ * @param {string} text - RAG response
+ * @returns {{ found: boolean, relevance: number|null, context: string }|null} - null if it isn't JSON
+ */
+function parseRelevanceResponse(text) {
+    const start = text.indexOf("{");
+    const end = text.lastIndexOf("}");
+    if (start < 0 || end < start) return null;
+
+    try {
+        const data = JSON.parse(text.slice(start, end + 1));
+        if (typeof data !== "object" || data === null) return null;
+
+        const relevance = Number(data.relevance);
+        return {
+            found: data.found !== false,
+            relevance: data.relevance === undefined || isNaN(relevance) ? null : relevance,
+            context: String(data.context ?? "").trim(),
+        };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Decide whether a RAG response found anything worth injecting
+ * @param {object} settings - Pipeline settings
+ * @param {string} response - RAG response
+ * @param {object} run - Run record
+ * @returns {{ text: string, relevance: { found: boolean, score: number|null }|null, reason: string }} - reason is set if nothing was found
+ */
+function applyRelevanceGate(settings, response, run) {
+    let text = response.trim();
+    let relevance = null;
+
+    if (settings.relevanceJson && !settings.structuredOutput && !settings.directRetrieval && text) {
+        const parsed = parseRelevanceResponse(text);
+        if (parsed) {
+            relevance = { found: parsed.found, score: parsed.relevance };
+            text = parsed.context;
+            if (!parsed.found) {
+                return { text: "", relevance, reason: "RAG model found nothing relevant" };
+            }
+            if (parsed.relevance !== null && parsed.relevance < (Number(settings.minRelevance) || 0)) {
+                return { text: "", relevance, reason: `Relevance ${parsed.relevance} below ${settings.minRelevance}` };
+            }
+        } else {
+            traceLog(run, "Response is not JSON, using it as-is");
+        }
+    }
+
+    if (!text) {
+        return { text: "", relevance, reason: "Empty response" };
+    }
+    // Only the RAG model's own words: passage lists and rendered items can start with anything
+    const isFreeText = !settings.structuredOutput && !settings.directRetrieval;
+    if (isFreeText && settings.emptyResponsePattern && matchesKeyword(settings.emptyResponsePattern, text)) {
+        return { text: "", relevance, reason: "Matched the empty response pattern" };
+    }
+
+    return { text, relevance, reason: "" };
+}
+
+// Appended to the RAG system prompt, followed by the schema, in structured output mode
+const STRUCTURED_OUTPUT_INSTRUCTION = "When you are done searching, reply with a single JSON object matching the schema below and nothing else. List each relevant fact you found as a separate item, with where it came from and how confident you are in it, from 0 to 1. Return an empty list if you found nothing relevant.";
+
+/**
+ * Get the pipeline's structured output schema
+ * @param {object} settings - Pipeline settings
+ * @returns {object|null} - null if it isn't valid JSON
+ */
+function getStructuredSchema(settings) {
+    try {
+        const schema = JSON.parse(settings.structuredSchema);
+        return typeof schema === "object" && schema !== null ? schema : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Get the request payload that asks the profile for structured output
+ * SillyTavern turns json_schema into each provider's own structured output option
+ * Only for requests without tools: providers such as Gemini reject a schema alongside function
+ * declarations or grounding
+ * @param {object} settings - Pipeline settings
+ * @returns {object} - Empty if structured output or the schema is off
+ */
+function getStructuredOutputPayload(settings) {
+    if (!settings.structuredOutput || !settings.structuredUseSchema) return {};
+
+    const schema = getStructuredSchema(settings);
+    if (!schema) return {};
+
+    return { json_schema: { name: "rag_memories", strict: false, value: schema } };
+}
+
+/**
+ * Parse the items of a structured response, tolerating code fences and text around it
+ * The item list is the root array, the "memories" property or the first array property
+ * @param {string} text - RAG response
+ * @returns {{ items: Array<{ fact: string, source: string, confidence: number|null, entities: string[] }>, invalid: number }|null} - null if it isn't JSON
+ */
+function parseStructuredItems(text) {
+    const start = text.search(/[[{]/);
+    const end = Math.max(text.lastIndexOf("}"), text.lastIndexOf("]"));
+    if (start < 0 || end < start) return null;
+
+    let data;
+    try {
+        data = JSON.parse(text.slice(start, end + 1));
+    } catch {
+        return null;
+    }
+
+    const list = Array.isArray(data)
+        ? data
+        : (Array.isArray(data?.memories) ? data.memories : Object.values(data || {}).find(Array.isArray));
+    if (!Array.isArray(list)) return null;
+
+    const items = [];
+    for (const item of list) {
+        const fact = typeof item === "string" ? item : item?.fact;
+        if (typeof fact !== "string" || !fact.trim()) continue;
+
+        const confidence = Number(item?.confidence);
+        items.push({
+            fact: fact.trim(),
+            source: String(item?.source ?? "").trim(),
+            confidence: item?.confidence === undefined || item?.confidence === null || isNaN(confidence)
+                ? null
+                : Math.min(1, Math.max(0, confidence)),
+            entities: Array.isArray(item?.entities) ? item.entities.map(String).filter(Boolean) : [],
+        });
+    }
+
+    return { items, invalid: list.length - items.length };
+}
+
+/**
+ * Filter, de-duplicate and sort structured items
+ * @param {object} settings - Pipeline settings
+ * @param {Array<object>} items - Parsed items
+ * @param {Array} messages - Prompt messages, to drop facts the main model already has
+ * @returns {{ items: Array<object>, duplicates: number, lowConfidence: number }}
+ */
+function selectStructuredItems(settings, items, messages) {
+    const normalize = (text) => String(text).toLowerCase().replace(/\s+/g, " ").trim();
+    const promptText = settings.structuredDedupe
+        ? normalize((messages || []).map(m => typeof m.content === "string"
+            ? m.content
+            : (m.content || []).map(part => part.text || "").join("\n")).join("\n"))
+        : "";
+
+    const minConfidence = Number(settings.structuredMinConfidence) || 0;
+    const seen = new Set();
+    let duplicates = 0;
+    let lowConfidence = 0;
+
+    const kept = items.filter(item => {
+        if (item.confidence !== null && item.confidence < minConfidence) {
+            lowConfidence++;
+            return false;
+        }
+        if (settings.structuredDedupe) {
+            const key = normalize(item.fact);
+            if (seen.has(key) || promptText.includes(key)) {
+                duplicates++;
+                return false;
+            }
+            seen.add(key);
+        }
+        return true;
+    });
+
+    // Stable sort: items without a confidence go last, in response order
+    if (settings.structuredSort === "confidence") {
+        kept.sort((a, b) => (b.confidence ?? -1) - (a.confidence ?? -1));
+    }
+
+    return { items: kept, duplicates, lowConfidence };
+}
+
+/**
+ * Render structured items through the pipeline's item template, one per line
+ * The template supports {{fact}}, {{source}}, {{confidence}}, {{entities}}, {{index}} and {{#if}}
+ * @param {string} template - Item template
+ * @param {Array<object>} items - Items
+ * @returns {string}
+ */
+function renderStructuredItems(template, items) {
+    return items.map((item, i) => {
+        const values = {
+            fact: item.fact,
+            source: item.source,
+            confidence: item.confidence === null ? "" : String(item.confidence),
+            entities: item.entities.join(", "),
+            index: String(i + 1),
+        };
+        return processConditionals(template, (name) => values[name] ?? "")
+            .replace(/{{(fact|source|confidence|entities|index)}}/g, (match, key) => values[key]);
+    }).join("\n");
+}
+
+/**
+ * Turn a structured response into the text to inject
+ * Responses that aren't JSON are used as-is
+ * @param {object} settings - Pipeline settings
+ * @param {object} run - Run record; receives the items and what was dropped
+ * @param {Array} messages - Prompt messages
+ * @returns {string}
+ */
+function applyStructuredOutput(settings, run, messages) {
+    const parsed = parseStructuredItems(run.response);
+    if (!parsed) {
+        run.errors.push("Structured output: response is not valid JSON, using it as-is");
+        traceLog(run, "Structured response is not valid JSON, using it as-is");
+        return run.response;
+    }
+
+    const { items, duplicates, lowConfidence } = selectStructuredItems(settings, parsed.items, messages);
+    run.items = items;
+    run.structured = { total: parsed.items.length + parsed.invalid, kept: items.length, invalid: parsed.invalid, duplicates, lowConfidence };
+    traceLog(run, "Structured items:", run.structured);
+
+    // Items name their sources when the retrieval didn't report any
+    if (run.sources.length === 0) {
+        run.sources = [...new Set(items.map(item => item.source).filter(Boolean))]
+            .map(source => ({ title: source, uri: "", text: "" }));
+    }
+
+    return renderStructuredItems(settings.structuredItemTemplate || "{{fact}}", items);
+}
+
+/**
+ * Get the pipeline's injection sections
+ * @param {object} settings - Pipeline settings
+ * @returns {Array<object>} - Empty if the JSON is invalid
+ */
+function getInjectionSections(settings) {
+    try {
+        const sections = JSON.parse(settings.injectionSections);
+        return Array.isArray(sections) ? sections.filter(section => typeof section?.name === "string" && section.name) : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Split a RAG response into the pipeline's sections
+ * Text outside any section (before the first marker, or unclaimed JSON keys) gets the name ""
+ * @param {object} settings - Pipeline settings
+ * @param {string} text - RAG response
+ * @returns {Array<{ name: string, text: string }>|null} - null if splitting is off or nothing matched
+ */
+function splitResponseSections(settings, text) {
+    const sections = getInjectionSections(settings);
+    if (settings.injectionSplit === "off" || sections.length === 0) return null;
+
+    const parts = new Map();
+    const add = (name, part) => {
+        if (part.trim()) parts.set(name, [parts.get(name), part.trim()].filter(Boolean).join("\n"));
+    };
+
+    if (settings.injectionSplit === "json") {
+        const start = text.indexOf("{");
+        const end = text.lastIndexOf("}");
+        let data;
+        try {
+            data = JSON.parse(text.slice(start, end + 1));
+        } catch {
+            return null;
+        }
+        if (typeof data !== "object" || data === null || Array.isArray(data)) return null;
+
+        const format = (value) => {
+            if (typeof value === "string") return value;
+            if (Array.isArray(value)) return value.map(item => typeof item === "string" ? item : (item?.fact ?? JSON.stringify(item))).join("\n");
+            return JSON.stringify(value, null, 2);
+        };
+        for (const [key, value] of Object.entries(data)) {
+            const section = sections.find(s => (s.key || s.name).toLowerCase() === key.toLowerCase());
+            if (value === null || value === undefined) continue;
+            add(section ? section.name : "", section ? format(value) : `${key}: ${format(value)}`);
+        }
+    } else {
+        // A marker is a heading line: its text (ignoring #, *, [] and a trailing colon) or a /regex/flags
+        const isMarker = (marker, line) => {
+            const regex = marker.startsWith("/") ? regexFromString(marker) : null;
+            if (regex) return regex.test(line);
+            const bare = (value) => value.trim().replace(/^[#*[\s]+|[\]*:\s]+$/g, "").toLowerCase();
+            return bare(line) === bare(marker);
+        };
+
+        let current = "";
+        let matched = false;
+        let lines = [];
+        for (const line of text.split("\n")) {
+            const section = line.trim() ? sections.find(s => isMarker(s.marker || s.name, line)) : null;
+            if (section) {
+                add(current, lines.join("\n"));
+                current = section.name;
+                matched = true;
+                lines = [];
+            } else {
+                lines.push(line);
+            }
+        }
+        add(current, lines.join("\n"));
+        if (!matched) return null;
+    }
+
+    // Place sections in the order they are configured, unsectioned text first
+    const order = ["", ...sections.map(section => section.name)];
+    return [...parts.entries()]
+        .sort(([a], [b]) => order.indexOf(a) - order.indexOf(b))
+        .map(([name, part]) => ({ name, text: part }));
+}
+
+/**
+ * Get the settings to place a section with, filling in what it leaves out from the pipeline
+ * A section with an identifier but no position is anchored to that identifier
+ * @param {object} settings - Pipeline settings
+ * @param {string} name - Section name, "" for unsectioned text
+ * @returns {object}
+ */
+function getSectionSettings(settings, name) {
+    const section = name ? getInjectionSections(settings).find(s => s.name === name) : null;
+    if (!section) return settings;
+
+    return {
+        ...settings,
+        injectionTemplate: section.template ?? settings.injectionTemplate,
+        injectionRole: section.role ?? settings.injectionRole,
+        injectionPosition: section.position ?? (section.identifier ? "identifier" : settings.injectionPosition),
+        injectionDepth: section.depth ?? settings.injectionDepth,
+        injectionMerge: section.merge ?? settings.injectionMerge,
+        injectionAnchorSide: section.side ?? settings.injectionAnchorSide,
+        injectionIdentifier: section.identifier ?? settings.injectionIdentifier,
+    };
+}
+
+/**
+ * Inject a run's context, each section in its own place
+ * @param {Array} messages - The messages array to inject into
+ * @param {object} run - Run record
+ * @param {object} settings - Pipeline settings
+ * @returns {Array<{ section: string, index: number, merged: boolean }>} - Where each part ended up once all are placed
+ */
+function injectRun(messages, run, settings) {
+    const parts = run.sections?.length ? run.sections : [{ name: "", injection: run.injection }];
+    const placements = [];
+    for (const part of parts) {
+        const placement = injectRagContext(messages, part.injection, getSectionSettings(settings, part.name), run);
+
+        // An inserted message shifts the parts placed at or after it
+        if (!placement.merged) {
+            for (const earlier of placements) {
+                if (earlier.index >= placement.index) earlier.index++;
+            }
+        }
+        placements.push({ section: part.name, ...placement });
+    }
+    return placements;
+}
+
+/**
+ * Run a single pipeline: retrieve, then render its injection template
+ * Does not modify the messages, so pipelines can run in parallel
+ * @param {object} settings - Pipeline settings
+ * @param {Array} messages - Chat messages
+ * @param {object} worldInfo - World Info strings {before, after}
+ * @param {{ query?: string, bypassCache?: boolean, signal?: AbortSignal }} [options] - Query override (used by retries), abort signal
+ * @returns {Promise<object>} - Run record; run.injection is "" if nothing was retrieved
+ */
+async function runPipeline(settings, messages, worldInfo, options = {}) {
+    const run = {
+        pipelineId: settings.id,
+        pipelineName: settings.name,
+        speaker: getActiveSpeaker()?.name || "",
+        mode: settings.directRetrieval ? "direct" : (settings.useNativeRetrieval ? "native" : "function"),
+        profileId: settings.directRetrieval ? "" : settings.ragProfileId,
+        profileName: settings.directRetrieval ? "" : getProfileName(settings.ragProfileId),
+        query: "",
+        response: "",
+        toolCalls: [],
+        injection: "",
+        expandedQueries: [],
+        sources: [],
+        citations: [],
+        errors: [],
+        cached: false,
+        reused: false,
+        latencyMs: 0,
+        timestamp: new Date().toISOString(),
+        trace: createTrace(),  // Kept in the trace log only, not stored on messages
+    };
+
+    if (settings.directRetrieval) {
+        traceLog(run, "Starting direct retrieval with backend:", settings.retrievalBackend);
+    } else {
+        traceLog(run, "Starting RAG request to profile:", run.profileName || settings.ragProfileId);
+    }
+
+    // Send RAG request, or search the backend directly
+    const startedAt = performance.now();
+    run.response = await retrieveWithFallbacks(settings, messages, worldInfo, run, options) || "";
+    run.latencyMs = Math.round(performance.now() - startedAt);
+
+    // Render structured items (the direct retrieval mode has no model to ask for them)
+    const response = settings.structuredOutput && !settings.directRetrieval && run.response
+        ? applyStructuredOutput(settings, run, messages)
+        : run.response;
+
+    // Skip injection, or inject the no-result template, if nothing useful was found
+    const gate = applyRelevanceGate(settings, response, run);
+    if (gate.relevance) run.relevance = gate.relevance;
+    if (gate.reason) {
+        run.gated = gate.reason;
+        traceLog(run, `Nothing found (${gate.reason}), ${settings.noResultTemplate ? "injecting the no-result template" : "skipping injection"}`);
+        run.injection = replaceTemplateVars(settings.noResultTemplate, messages, {
+            ragQuery: run.query,
+            worldInfoBefore: worldInfo.before,
+            worldInfoAfter: worldInfo.after
+        }, settings);
+        return run;
+    }
+    const ragResponse = gate.text;
+
+    // Format the injection using the template
+    const renderInjection = (response, template = settings.injectionTemplate) => replaceTemplateVars(template, messages, {
+        ragResponse: response,
+        ragQuery: run.query,
+        ragSources: formatSources(run.sources),
+        ragCitations: insertCitationMarkers(response, run.citations),
+        worldInfoBefore: worldInfo.before,
+        worldInfoAfter: worldInfo.after
+    }, settings);
+    const budget = getTokenBudget(settings);
+
+    // Render each section through its own template; sections share the budget in order
+    const sections = splitResponseSections(settings, ragResponse);
+    if (sections) {
+        traceLog(run, "Sections:", sections.map(section => section.name || "(unsectioned)"));
+        run.sections = [];
+        let remaining = budget;
+        for (const section of sections) {
+            const template = getSectionSettings(settings, section.name).injectionTemplate;
+            let text = section.text;
+            if (budget > 0) {
+                const templateTokens = await countTokens(renderInjection("", template));
+                if (templateTokens >= remaining) {
+                    reportTemplateOverBudget(settings, run, budget, remaining, templateTokens);
+                    continue;
+                }
+                const fitted = await fitToTokenBudget(settings, text, remaining - templateTokens, run, options.signal, run.passages);
+                if (fitted !== text) run.budget = { ...run.budget, limit: budget, strategy: settings.budgetStrategy };
+                if (!fitted) continue;
+                text = fitted;
+            }
+            const injection = renderInjection(text, template);
+            remaining -= await countTokens(injection);
+            run.sections.push({ name: section.name, injection });
+        }
+        run.injection = run.sections.map(section => section.injection).join("\n\n");
+        return run;
+    }
+
+    run.injection = renderInjection(ragResponse);
+
+    // Fit the response into the token budget, minus what the template itself takes
+    if (budget > 0) {
+        const templateTokens = await countTokens(renderInjection(""));
+        if (templateTokens >= budget) {
+            reportTemplateOverBudget(settings, run, budget, budget, templateTokens);
+            run.injection = "";
+            return run;
+        }
+        const fitted = await fitToTokenBudget(settings, ragResponse, budget - templateTokens, run, options.signal, run.passages);
+        if (fitted !== ragResponse) {
+            run.budget = { limit: budget, strategy: settings.budgetStrategy };
+            run.injection = fitted ? renderInjection(fitted) : "";
+        }
+    }
+    return run;
+}
+
+/**
+ * Record that an injection template alone is over what is left of the token budget, leaving no room for the response
+ * @param {object} settings - Pipeline settings
+ * @param {object} run - Run record; receives the error
+ * @param {number} budget - Token budget
+ * @param {number} available - Tokens left of the budget (less than the budget after earlier sections)
+ * @param {number} templateTokens - Tokens of the template without the response
+ */
+function reportTemplateOverBudget(settings, run, budget, available, templateTokens) {
+    const left = available < budget ? `the ${available} tokens left of the token budget of ${budget}` : `the token budget of ${budget}`;
+    const message = `Injection template alone is ${templateTokens} tokens, over ${left}; nothing injected`;
+    run.budget = { limit: budget, strategy: settings.budgetStrategy, templateTokens };
+    run.errors.push(message);
+    traceLog(run, message);
+}
+
+/**
+ * Get the stored runs of the message being swiped, so they can be re-used
+ * instead of retrieving again
+ * @param {object} settings - Extension settings
+ * @returns {Map<string, object>} - Pipeline ID -> stored run
+ */
+function getReusableRuns(settings) {
+    const reusable = new Map();
+    if (!settings.reuseContextOnSwipe || currentGeneration?.type !== "swipe") return reusable;
+
+    const chat = getContext().chat || [];
+    const runs = chat[chat.length - 1]?.extra?.[MESSAGE_EXTRA_KEY]?.runs || [];
+    for (const run of runs) {
+        if (run.injection) reusable.set(run.pipelineId, run);
+    }
+
+    return reusable;
+}
+
+/**
+ * Show the review dialog for a retrieved context
+ * @param {object} run - Run record
+ * @returns {Promise<{ result: number|null, injection: string, query: string }>}
+ */
+async function showReviewPopup(run) {
+    const { callGenericPopup, POPUP_TYPE, POPUP_RESULT } = getContext();
+    const html = `
+        <div class="rag-review-popup">
+            <h3>Review RAG Context: ${escapeHtml(run.pipelineName || "Pipeline")}</h3>
+            <label for="rag_review_injection">Context to inject</label>
+            <textarea id="rag_review_injection" class="text_pole" rows="12">${escapeHtml(run.injection)}</textarea>
+            <label for="rag_review_query">Query (edit and Retry to search again)</label>
+            <textarea id="rag_review_query" class="text_pole" rows="4">${escapeHtml(run.query)}</textarea>
+        </div>`;
+
+    let injection = run.injection;
+    let query = run.query;
+    const result = await callGenericPopup(html, POPUP_TYPE.TEXT, "", {
+        okButton: "Inject",
+        cancelButton: "Drop",
+        customButtons: [{ text: "Retry", result: POPUP_RESULT.CUSTOM1 }],
+        wide: true,
+        onClosing: (popup) => {
+            injection = String($(popup.content).find("#rag_review_injection").val());
+            query = String($(popup.content).find("#rag_review_query").val());
+            return true;
+        },
+    });
+
+    return { result, injection, query };
+}
+
+/**
+ * Let the user accept (optionally edited), retry with a modified query, or drop
+ * a retrieved context before it is injected
+ * @param {object} settings - Pipeline settings
+ * @param {object} run - Run record
+ * @param {Array} messages - Chat messages
+ * @param {object} worldInfo - World Info strings {before, after}
+ * @returns {Promise<object>} - Final run record; run.injection is "" if dropped
+ */
+async function reviewRagRun(settings, run, messages, worldInfo) {
+    const { POPUP_RESULT } = getContext();
+    let current = run;
+
+    while (true) {
+        const { result, injection, query } = await showReviewPopup(current);
+
+        if (result === POPUP_RESULT.AFFIRMATIVE) {
+            current.edited = injection !== current.injection;
+            current.injection = injection;
+            // An edited context is placed as one
+            if (current.edited) delete current.sections;
+            return current;
+        }
+
+        if (result !== POPUP_RESULT.CUSTOM1) {
+            traceLog(current, "Context dropped by user");
+            current.injection = "";
+            current.dropped = true;
+            return current;
+        }
+
+        try {
+            const retried = await runPipeline(settings, messages, worldInfo, { query, bypassCache: true });
+            if (!retried.injection) {
+                toastr.info("Retry found nothing. Showing the previous context.", "RAG Context Injector");
+            } else {
+                current = retried;
+            }
+        } catch (error) {
+            console.error(DEBUG_PREFIX, `[${settings.name}] Retry failed:`, error);
+            toastr.error(`Retry failed: ${error.message}`, "RAG Context Injector");
+        }
+    }
+}
+
+/**
+ * Main injection handler - runs every enabled pipeline and injects the responses
+ * Triggered by CHAT_COMPLETION_SETTINGS_READY event
+ * @param {object} data - The request payload being prepared
+ */
+async function onChatCompletionSettingsReady(data) {
+    debugLog("Event triggered - CHAT_COMPLETION_SETTINGS_READY");
+    const settings = getSettings();
+    const trigger = currentGeneration?.type || "normal";
+
+    // One-shot override from /rag-force or /rag-skip (quiet prompts don't use it up)
+    const override = isProcessingRag || currentGeneration?.type === "quiet" ? null : nextGenerationOverride;
+    if (override) {
+        nextGenerationOverride = null;
+    }
+    if (!isProcessingRag && currentGeneration?.type !== "quiet" && Array.isArray(data.messages)) {
+        lastPrompt = { chatId: getContext().getCurrentChatId(), messages: structuredClone(data.messages) };
+    }
+    if (override === "skip") {
+        debugLog("Skipped by /rag-skip");
+        return;
+    }
+
+    // Check which pipelines should run
+    const pipelines = [];
+    const decisions = [];
+    for (const pipeline of settings.pipelines) {
+        // /rag-force bypasses the global switch, not pipelines turned off here or by a character or chat override
+        const pipelineSettings = resolvePipelineSettings(override === "force" ? { ...settings, enabled: true } : settings, pipeline);
+        const validation = shouldRunRag(pipelineSettings, data, { force: override === "force" });
+        if (validation.shouldRun) {
+            pipelines.push(pipelineSettings);
+            decisions.push(override === "force" ? { shouldRun: true, reason: "Forced by /rag-force" } : validation);
+        } else if (validation.reason) {
+            debugLog(`[${pipeline.name}] ${validation.reason}, skipping`);
+            // Nothing is traced while the extension is off
+            if (settings.enabled) recordTrace(buildTraceEntry(pipelineSettings, trigger, validation));
+        }
+    }
+
+    if (pipelines.length === 0) return;
+
+    let results = null;
+    try {
+        isProcessingRag = true;
+        ragAbortController = new AbortController();
+        const signal = ragAbortController.signal;
+
+        // Attempt to reconstruct messages if missing
+        reconstructMessages(data);
+
+        // Extract Existing World Info (for template macros)
+        const worldInfo = await extractWorldInfo(data.messages);
+
+        // Retrieve for all pipelines in parallel, then inject in pipeline order
+        // On swipes, stored context may be re-used instead
+        const reusableRuns = getReusableRuns(settings);
+        results = await Promise.allSettled(pipelines.map(pipelineSettings => {
+            const reuse = (run, reason) => {
+                const reused = { ...run, reused: true, latencyMs: 0, timestamp: new Date().toISOString(), trace: createTrace() };
+                traceLog(reused, reason);
+                return Promise.resolve(reused);
+            };
+
+            const stored = reusableRuns.get(pipelineSettings.id);
+            if (stored) {
+                return reuse(stored, "Re-using stored context for swipe");
+            }
+
+            const roundKey = getGroupRoundKey(pipelineSettings);
+            if (roundKey && groupRoundRuns.has(roundKey)) {
+                return reuse(groupRoundRuns.get(roundKey), "Re-using this group round's context");
+            }
+
+            return runPipeline(pipelineSettings, data.messages, worldInfo, { signal }).then(run => {
+                if (roundKey) groupRoundRuns.set(roundKey, run);
+                return run;
+            });
+        }));
+
+        if (signal.aborted) {
+            debugLog("Generation stopped during retrieval");
+            return;
+        }
+
+        if (settings.notifyOnFailure) {
+            notifyRunProblems(pipelines, results);
+        }
+
+        // Let the user review, edit, retry or drop each retrieved context
+        if (settings.confirmBeforeInjecting && currentGeneration?.type !== "quiet") {
+            for (let i = 0; i < results.length; i++) {
+                const result = results[i];
+                if (result.status === "fulfilled" && result.value.injection) {
+                    result.value = await reviewRagRun(pipelines[i], result.value, data.messages, worldInfo);
+                }
+            }
+        }
+
+        // Keep the run records for the generated message
+        const runs = results.filter(r => r.status === "fulfilled").map(r => r.value);
+        pendingRagRuns = runs;
+        lastRagRuns = runs;
+
+        if (!Array.isArray(data.messages) || data.messages.length === 0) return;
+
+        let injected = false;
+        results.forEach((result, i) => {
+            const pipelineSettings = pipelines[i];
+
+            if (result.status === "rejected") {
+                console.error(DEBUG_PREFIX, `[${pipelineSettings.name}] Error in RAG pipeline:`, result.reason);
+                if (result.reason?.cause) {
+                    console.error(DEBUG_PREFIX, "Caused by:", result.reason.cause);
+                }
+                return;
+            }
+
+            if (!result.value.injection) return;
+
+            result.value.trace.placements = injectRun(data.messages, result.value, pipelineSettings);
+            injected = true;
+
+            // Optionally add retrieval tool to main model request
+            if (pipelineSettings.enableMainModelTools) {
+                addMainModelTool(data, pipelineSettings, result.value);
+            }
+        });
+
+        if (!injected) {
+            debugLog("No RAG response content, continuing without injection");
+            return;
+        }
+
+        // Reprocess World Info if enabled
+        if (settings.reprocessWorldInfo) {
+            await reprocessWorldInfo(data.messages);
+        }
+
+        if (settings.warnOnContextOverflow) {
+            await checkContextOverflow(data);
+        }
+
+        // Optionally append to system prompt
+        if (settings.systemPromptAddition) {
+            const systemMessage = data.messages.find(m => m.role === ROLES.SYSTEM);
+            if (systemMessage) {
+                systemMessage.content += "\n\n" + settings.systemPromptAddition;
+            }
+        }
+
+        debugLog("RAG injection complete");
+    } catch (error) {
+        console.error(DEBUG_PREFIX, "Error in RAG injection:", error);
+        if (error.cause) {
+            console.error(DEBUG_PREFIX, "Caused by:", error.cause);
+        }
+    } finally {
+        isProcessingRag = false;
+        ragAbortController = null;
+        results?.forEach((result, i) => recordTrace(result.status === "fulfilled"
+            ? buildTraceEntry(pipelines[i], trigger, decisions[i], result.value)
+            : buildTraceEntry(pipelines[i], trigger, decisions[i], null, result.reason)));
+    }
+}
+
+/**
+ * Tell the user about pipelines that failed, only succeeded through a fallback, or had no room in their budget
+ * @param {Array<object>} pipelines - Pipeline settings, in the order of results
+ * @param {Array<PromiseSettledResult<object>>} results - Pipeline results
+ */
+function notifyRunProblems(pipelines, results) {
+    results.forEach((result, i) => {
+        const name = pipelines[i].name;
+        if (result.status === "rejected") {
+            toastr.warning(`${name}: retrieval failed (${result.reason?.message || result.reason}). Generating without it.`, "RAG Context Injector");
+        } else if (result.value.degraded) {
+            toastr.info(`${name}: RAG profile failed, used ${result.value.degraded} instead.`, "RAG Context Injector");
+        }
+        if (result.status === "fulfilled" && result.value.budget?.templateTokens) {
+            toastr.warning(`${name}: the injection template alone is over the ${result.value.budget.limit}-token budget. Nothing was injected.`, "RAG Context Injector");
+        }
+    });
+}
+
+/**
+ * Abort pending RAG requests when the user stops the generation
+ */
+function onGenerationStopped() {
+    ragAbortController?.abort();
+}
+
+
+/**
+ * Remember the generation type for swipe handling
+ * @param {string} type - Generation type (normal, swipe, regenerate, continue, impersonate, quiet...)
+ * @param {object} _options - Generation options
+ * @param {boolean} dryRun - Whether this is a dry run (e.g. token counting)
+ */
+function onGenerationStarted(type, _options, dryRun) {
+    if (dryRun) return;
+    currentGeneration = { type: type || "normal", speakerId: getContext().groupId ? draftedMemberId : null };
+    pendingRagRuns = null;
+}
+
+/**
+ * Remember which group member is about to speak
+ * @param {number} characterId - Character index of the drafted member
+ */
+function onGroupMemberDrafted(characterId) {
+    draftedMemberId = characterId;
+}
+
+/**
+ * Forget the drafted member once the group round is over
+ */
+function onGroupWrapperFinished() {
+    draftedMemberId = null;
+}
+
+/**
+ * Start a new group round: the runs of the previous one are stale
+ */
+function clearGroupRoundRuns() {
+    groupRoundRuns.clear();
+}
+
+/**
+ * Get the round cache key of a pipeline for the active speaker
+ * @param {object} settings - Pipeline settings
+ * @returns {string|null} - null outside of group rounds or if the cache is off
+ */
+function getGroupRoundKey(settings) {
+    const speaker = getActiveSpeaker();
+    if (!settings.groupRoundCache || !speaker) return null;
+    return `${settings.id}:${speaker.id}`;
+}
+
+/**
+ * Attach the pending run records to the message that was just generated
+ * @param {number} messageId - Index of the received message
+ */
+function onMessageReceived(messageId) {
+    if (!pendingRagRuns) return;
+
+    const message = getContext().chat?.[Number(messageId)];
+    if (!message || message.is_user) return;
+
+    const record = { runs: pendingRagRuns.map(({ trace, passages, ...run }) => run) };
+    message.extra = message.extra || {};
+    message.extra[MESSAGE_EXTRA_KEY] = record;
+
+    // Swipe info keeps its own copy of extra for each swipe
+    const swipeInfo = message.swipe_info?.[message.swipe_id ?? 0];
+    if (swipeInfo) {
+        swipeInfo.extra = swipeInfo.extra || {};
+        swipeInfo.extra[MESSAGE_EXTRA_KEY] = record;
+    }
+
+    pendingRagRuns = null;
+}
+
+/**
+ * Show the RAG context button only on messages that have stored context
+ */
+function updateRagMessageButtons() {
+    const chat = getContext().chat || [];
+    $("#chat .mes").each(function () {
+        const message = chat[Number($(this).attr("mesid"))];
+        $(this).find(".rag_context_button").toggleClass("rag-has-context", Boolean(message?.extra?.[MESSAGE_EXTRA_KEY]?.runs?.length));
+        renderMessageSources($(this), message);
+    });
+}
+
+/**
+ * Show the sources of the context injected for a message below its text
+ * Web sources are links; other sources show their text on hover
+ * @param {JQuery} $message - Rendered message element
+ * @param {object} message - Chat message
+ */
+function renderMessageSources($message, message) {
+    $message.find(".rag-message-sources").remove();
+    if (!getSettings().showSourcesInMessage) return;
+
+    const runs = (message?.extra?.[MESSAGE_EXTRA_KEY]?.runs || []).filter(run => run.injection && run.sources?.length);
+    if (runs.length === 0) return;
+
+    const lines = runs.map(run => {
+        const links = run.sources.map((source, i) => {
+            const label = escapeHtml(`[${i + 1}] ${source.title}`);
+            return /^https?:\/\//i.test(source.uri)
+                ? `<a href="${escapeHtml(source.uri)}" target="_blank" rel="noopener noreferrer" title="${escapeHtml(source.uri)}">${label}</a>`
+                : `<span title="${escapeHtml(source.text || source.uri)}">${label}</span>`;
+        });
+        const name = runs.length > 1 ? ` (${escapeHtml(run.pipelineName)})` : "";
+        return `<div><b>Sources${name}:</b> ${links.join(" ")}</div>`;
+    });
+
+    $message.find(".mes_text").after(`<div class="rag-message-sources">${lines.join("")}</div>`);
+}
+
+/**
+ * Render stored run records as collapsible sections
+ * @param {Array} runs - Run records
+ * @returns {string} - HTML
+ */
+function renderRunsHtml(runs) {
+    const block = (label, text) => text
+        ? `<div class="rag-run-field"><b>${label}</b><pre>${escapeHtml(text)}</pre></div>`
+        : "";
+
+    return runs.map(run => {
+        const flags = [
+            run.cached ? "cached" : "",
+            run.reused ? "re-used" : "",
+            run.degraded ? `via ${run.degraded}` : "",
+            run.budget ? `over budget: ${run.budget.strategy}` : "",
+            run.gated ? `nothing found: ${run.gated}` : "",
+            run.structured ? `${run.structured.kept} of ${run.structured.total} items` : "",
+            run.sections ? `${run.sections.length} section(s)` : "",
+        ].filter(Boolean).join(", ");
+        const toolCalls = (run.toolCalls || [])
+            .map((call, i) => block(`Tool call ${i + 1}: ${call.name}`, `${JSON.stringify(call.arguments)}\n\n${call.result}`))
+            .join("");
+
+        return `
+            <details class="rag-run" ${run.injection ? "open" : ""}>
+                <summary>${escapeHtml(run.pipelineName || "Pipeline")} &mdash; ${run.latencyMs} ms${flags ? ` (${flags})` : ""}${run.injection ? "" : " &mdash; nothing injected"}</summary>
+                <div class="rag-run-meta">
+                    <span>Mode: ${escapeHtml(run.mode)}</span>
+                    ${run.profileId ? `<span>Profile: ${escapeHtml(run.profileName || run.profileId)}</span>` : ""}
+                    ${run.speaker ? `<span>Speaker: ${escapeHtml(run.speaker)}</span>` : ""}
+                    ${run.relevance?.score != null ? `<span>Relevance: ${run.relevance.score}</span>` : ""}
+                    <span>${escapeHtml(new Date(run.timestamp).toLocaleString())}</span>
+                </div>
+                ${block("Query", run.query)}
+                ${block("Expanded queries", (run.expandedQueries || []).join("\n"))}
+                ${toolCalls}
+                ${block("Response", run.response)}
+                ${block("Sources", formatSources(run.sources || []))}
+                ${block("Injected", run.injection)}
+                ${block("Errors", (run.errors || []).join("\n"))}
+            </details>`;
+    }).join("");
+}
+
+/**
+ * Show the RAG context stored on a message
+ * @param {number} messageId - Message index
+ */
+async function showMessageRagContext(messageId) {
+    const message = getContext().chat?.[messageId];
+    const runs = message?.extra?.[MESSAGE_EXTRA_KEY]?.runs;
+    if (!runs?.length) {
+        toastr.info("No RAG context stored for this message.", "RAG Context Injector");
+        return;
+    }
+
+    const { callGenericPopup, POPUP_TYPE } = getContext();
+    const html = `<div class="rag-context-popup"><h3>RAG Context</h3>${renderRunsHtml(runs)}</div>`;
+    await callGenericPopup(html, POPUP_TYPE.TEXT, "", { wide: true, large: true, allowVerticalScrolling: true });
+}
+
+/**
+ * Find a pipeline by name or ID (case-insensitive)
+ * Without a name, the first enabled pipeline is used
+ * @param {string} [name] - Pipeline name or ID
+ * @returns {typeof DEFAULT_PIPELINE|undefined}
+ */
+function findPipeline(name) {
+    const pipelines = getSettings().pipelines;
+    if (!name) return pipelines.find(p => p.enabled) ?? pipelines[0];
+
+    const needle = String(name).trim().toLowerCase();
+    return pipelines.find(p => p.id === name || p.name.toLowerCase() === needle);
+}
+
+/**
+ * Run a one-off RAG query outside of a generation
+ * @param {typeof DEFAULT_PIPELINE} pipeline - Pipeline to run
+ * @param {string} [query] - Query to use instead of the pipeline's template
+ * @returns {Promise<object>} - Run record
+ */
+async function runAdHocQuery(pipeline, query) {
+    const settings = resolvePipelineSettings(getSettings(), pipeline);
+    const messages = convertSillyTavernToOpenAI(getContext().chat || []);
+    const worldInfo = await extractWorldInfo(messages);
+    const options = query ? { query } : {};
+    const decision = { shouldRun: true, reason: "/rag-query" };
+    try {
+        const run = await runPipeline(settings, messages, worldInfo, options);
+        recordTrace(buildTraceEntry(settings, "command", decision, run));
+        return run;
+    } catch (error) {
+        recordTrace(buildTraceEntry(settings, "command", decision, null, error));
+        throw error;
+    }
+}
+
+// Templates with a Preview button: setting key -> label
+const PREVIEW_TEMPLATES = {
+    ragSystemPrompt: "RAG System Prompt",
+    ragUserPromptTemplate: "RAG Query Template",
+    injectionTemplate: "Context Injection Template",
+};
+
+/**
+ * Get the messages and World Info templates are rendered against outside of a generation
+ * Uses the last prompt of this chat if there is one, so World Info and placement match a real request
+ * @returns {Promise<{ messages: Array, worldInfo: { before: string, after: string }, fromPrompt: boolean }>}
+ */
+async function getPreviewContext() {
+    const context = getContext();
+    const fromPrompt = !!lastPrompt && lastPrompt.chatId === context.getCurrentChatId();
+    const messages = fromPrompt
+        ? structuredClone(lastPrompt.messages)
+        : convertSillyTavernToOpenAI(context.chat || []);
+    const worldInfo = await extractWorldInfo(messages);
+    return { messages, worldInfo, fromPrompt };
+}
+
+/**
+ * Show a template of the selected pipeline rendered against the current chat
+ * The injection template uses the pipeline's last response, if any
+ * @param {string} key - Template setting key (see PREVIEW_TEMPLATES)
+ */
+async function previewTemplate(key) {
+    const settings = resolvePipelineSettings(getSettings(), getSelectedPipeline());
+    const { messages, worldInfo, fromPrompt } = await getPreviewContext();
+    const lastRun = lastRagRuns.find(run => run.pipelineId === settings.id && run.response);
+    const response = lastRun?.response || "(RAG response)";
+
+    const rendered = replaceTemplateVars(settings[key] || "", messages, {
+        worldInfoBefore: worldInfo.before,
+        worldInfoAfter: worldInfo.after,
+        ...(key === "injectionTemplate" ? {
+            ragResponse: response,
+            ragQuery: lastRun?.query || "",
+            ragSources: formatSources(lastRun?.sources || []),
+            ragCitations: insertCitationMarkers(response, lastRun?.citations || []),
+        } : {}),
+    }, settings);
+    const tokens = await countTokens(rendered);
+
+    const { callGenericPopup, POPUP_TYPE } = getContext();
+    const html = `
+        <div class="rag-context-popup rag-preview-popup">
+            <h3>${escapeHtml(PREVIEW_TEMPLATES[key])} &mdash; ${escapeHtml(settings.name)}</h3>
+            <small>${tokens} tokens. World Info from ${fromPrompt ? "the last prompt of this chat" : "the chat (no prompt sent yet)"}.
+            ${key === "injectionTemplate" ? (lastRun ? " Response from the last run." : " No response yet, a placeholder is used.") : ""}</small>
+            <pre>${escapeHtml(rendered)}</pre>
+        </div>`;
+    await callGenericPopup(html, POPUP_TYPE.TEXT, "", { wide: true, large: true, allowVerticalScrolling: true });
+}
+
+/**
+ * Render a prompt as a list, marking the messages that contain the injection
+ * @param {Array} messages - Prompt messages
+ * @param {string[]} injections - Injected texts, one per section
+ * @returns {string} - HTML
+ */
+function renderPlacementHtml(messages, injections) {
+    return messages.map((message, i) => {
+        const content = typeof message.content === "string" ? message.content : JSON.stringify(message.content);
+        const injected = injections.some(injection => injection && content.includes(injection));
+        const preview = content.length > 200 ? content.slice(0, 200) + "..." : content;
+        return `
+            <div class="rag-placement-message ${injected ? "rag-placement-injected" : ""}">
+                <b>${i}. ${escapeHtml(message.role)}${message.identifier ? ` (${escapeHtml(message.identifier)})` : ""}${injected ? " &larr; RAG context" : ""}</b>
+                <pre>${escapeHtml(injected ? content : preview)}</pre>
+            </div>`;
+    }).join("");
+}
+
+/**
+ * Send the selected pipeline's RAG request without generating, and show the raw response,
+ * tool calls, injection and where it would be placed in the prompt
+ */
+async function dryRunPipeline() {
+    const settings = resolvePipelineSettings(getSettings(), getSelectedPipeline());
+    const { messages, worldInfo, fromPrompt } = await getPreviewContext();
+
+    toastr.info(`Running ${settings.name}...`, "RAG Context Injector");
+    const decision = { shouldRun: true, reason: "Dry run" };
+    let run;
+    try {
+        run = await runPipeline(settings, messages, worldInfo, { bypassCache: true });
+    } catch (error) {
+        console.error(DEBUG_PREFIX, "Dry run failed:", error);
+        toastr.error(`Dry run failed: ${error.message}`, "RAG Context Injector");
+        recordTrace(buildTraceEntry(settings, "dry run", decision, null, error));
+        return;
+    }
+
+    const placed = structuredClone(messages);
+    if (run.injection) {
+        run.trace.placements = injectRun(placed, run, settings);
+    }
+    recordTrace(buildTraceEntry(settings, "dry run", decision, run));
+
+    const { callGenericPopup, POPUP_TYPE } = getContext();
+    const html = `
+        <div class="rag-context-popup rag-preview-popup">
+            <h3>Dry Run</h3>
+            ${renderRunsHtml([run])}
+            <details class="rag-run" open>
+                <summary>Placement &mdash; ${fromPrompt ? "last prompt of this chat" : "chat messages only (no prompt sent yet)"}</summary>
+                ${run.injection ? renderPlacementHtml(placed, run.sections?.map(section => section.injection) ?? [run.injection]) : "<small>Nothing would be injected.</small>"}
+            </details>
+        </div>`;
+    await callGenericPopup(html, POPUP_TYPE.TEXT, "", { wide: true, large: true, allowVerticalScrolling: true });
+}
+
+/**
+ * Register STscript slash commands
+ */
+function registerSlashCommands() {
+    const {
+        SlashCommandParser,
+        SlashCommand,
+        SlashCommandArgument,
+        SlashCommandNamedArgument,
+        ARGUMENT_TYPE,
+    } = getContext();
+
+    if (!SlashCommandParser || !SlashCommand) {
+        console.warn(DEBUG_PREFIX, "Slash commands not available");
+        return;
+    }
+
+    const pipelineArgument = SlashCommandNamedArgument.fromProps({
+        name: "pipeline",
+        description: "Pipeline name (defaults to the first enabled pipeline)",
+        typeList: [ARGUMENT_TYPE.STRING],
+        enumProvider: () => getSettings().pipelines.map(p => new SlashCommandEnumValue(p.name)),
+    });
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: "rag-query",
+        callback: async (args, value) => {
+            const pipeline = findPipeline(args.pipeline);
+            if (!pipeline) {
+                toastr.warning(`Pipeline not found: ${args.pipeline}`, "RAG Context Injector");
+                return "";
+            }
+
+            try {
+                const run = await runAdHocQuery(pipeline, String(value || "").trim());
+                return args.format === "injection" ? run.injection : run.response;
+            } catch (error) {
+                console.error(DEBUG_PREFIX, "/rag-query failed:", error);
+                toastr.error(`RAG query failed: ${error.message}`, "RAG Context Injector");
+                return "";
+            }
+        },
+        returns: "the RAG response",
+        namedArgumentList: [
+            pipelineArgument,
+            SlashCommandNamedArgument.fromProps({
+                name: "format",
+                description: "Return the raw response, or the response rendered through the injection template",
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: "response",
+                enumList: ["response", "injection"],
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: "Query to send instead of the pipeline's query template",
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+        ],
+        helpString: "Runs a one-off RAG query and returns the result. Without a query, the pipeline's query template is rendered against the current chat. Example: <code>/rag-query pipeline=\"Rules lookup\" how does grappling work? | /echo</code>",
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: "rag-toggle",
+        callback: (args, value) => {
+            const settings = getSettings();
+            const target = args.pipeline ? findPipeline(args.pipeline) : settings;
+            if (!target) {
+                toastr.warning(`Pipeline not found: ${args.pipeline}`, "RAG Context Injector");
+                return "";
+            }
+
+            const state = String(value || "").trim().toLowerCase();
+            target.enabled = ["on", "true", "1"].includes(state) ? true
+                : ["off", "false", "0"].includes(state) ? false
+                    : !target.enabled;
+
+            saveSettingsDebounced();
+            loadSettingsUI();
+            return String(target.enabled);
+        },
+        returns: "the new enabled state",
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: "pipeline",
+                description: "Toggle a single pipeline instead of the whole extension",
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumProvider: () => getSettings().pipelines.map(p => new SlashCommandEnumValue(p.name)),
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: "on / off (toggles if omitted)",
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: ["on", "off"],
+            }),
+        ],
+        helpString: "Enables or disables RAG context injection, or a single pipeline with <code>pipeline=</code>.",
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: "rag-profile",
+        callback: (args, value) => {
+            const pipeline = findPipeline(args.pipeline);
+            if (!pipeline) {
+                toastr.warning(`Pipeline not found: ${args.pipeline}`, "RAG Context Injector");
+                return "";
+            }
+
+            const name = String(value || "").trim();
+            if (!name) return getProfileName(pipeline.ragProfileId);
+
+            const profiles = getContext().extensionSettings?.connectionManager?.profiles || [];
+            const profile = profiles.find(p => p.name.toLowerCase() === name.toLowerCase());
+            if (!profile) {
+                toastr.warning(`Connection profile not found: ${name}`, "RAG Context Injector");
+                return "";
+            }
+
+            pipeline.ragProfileId = profile.id;
+            saveSettingsDebounced();
+            loadSettingsUI();
+            return profile.name;
+        },
+        returns: "the pipeline's RAG profile name",
+        namedArgumentList: [pipelineArgument],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: "Connection profile name (returns the current one if omitted)",
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumProvider: () => (getContext().extensionSettings?.connectionManager?.profiles || [])
+                    .map(p => new SlashCommandEnumValue(p.name)),
+            }),
+        ],
+        helpString: "Sets the RAG model connection profile of a pipeline.",
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: "rag-last",
+        callback: async (args) => {
+            const text = lastRagRuns.filter(r => r.injection).map(r => r.injection).join("\n\n");
+            if (!isFalseBoolean(String(args.show ?? "true"))) {
+                if (lastRagRuns.length === 0) {
+                    toastr.info("No RAG context has been retrieved yet.", "RAG Context Injector");
+                } else {
+                    const { callGenericPopup, POPUP_TYPE } = getContext();
+                    const html = `<div class="rag-context-popup"><h3>Last RAG Context</h3>${renderRunsHtml(lastRagRuns)}</div>`;
+                    await callGenericPopup(html, POPUP_TYPE.TEXT, "", { wide: true, large: true, allowVerticalScrolling: true });
+                }
+            }
+            return text;
+        },
+        returns: "the last injected context",
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: "show",
+                description: "Show the details in a popup",
+                typeList: [ARGUMENT_TYPE.BOOLEAN],
+                defaultValue: "true",
+            }),
+        ],
+        helpString: "Shows the context injected into the last generation, and returns it.",
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: "rag-force",
+        callback: () => {
+            nextGenerationOverride = "force";
+            return "";
+        },
+        helpString: "Runs retrieval for the next generation only, even if RAG injection is disabled or the trigger rules would skip it. Pipelines that are disabled, or disabled for the character or chat, still don't run.",
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: "rag-skip",
+        callback: () => {
+            nextGenerationOverride = "skip";
+            return "";
+        },
+        helpString: "Skips retrieval for the next generation only.",
+    }));
+}
+
+/**
+ * Load extension settings into the UI
+ */
+function loadSettingsUI() {
+    const settings = getSettings();
+    const pipeline = getSelectedPipeline();
+
+    // Populate preset and pipeline dropdowns
+    populatePresetDropdown();
+    populatePipelineDropdown();
+
+    // Load all bound settings using the UI_BINDINGS configuration
+    UI_BINDINGS.forEach(({ id, key, type, pipeline: isPipelineKey }) => {
+        const $el = $(`#${id}`);
+        const value = isPipelineKey ? pipeline[key] : settings[key];
+
+        if (type === 'checkbox') {
+            $el.prop('checked', value);
+        } else {
+            $el.val(value);
         }
+    });
 
-        // Capture the existing roles before we modify anything (default to ROLES.SYSTEM if not found)
-        const worldInfoBeforeRole = wiBeforeIndex !== -1 ? messages[wiBeforeIndex].role : ROLES.SYSTEM;
-        const worldInfoAfterRole = wiAfterIndex !== -1 ? messages[wiAfterIndex].role : ROLES.SYSTEM;
+    // Populate provider dropdown
+    populateProviderDropdown();
 
-        // Prepare for scan
-        const globalScanData = context.getCharacterCardFields();
-        const scanData = {
-            ...globalScanData,
-            personaDescription: globalScanData.persona,
-            characterDescription: globalScanData.description,
-            characterPersonality: globalScanData.personality,
-            characterDepthPrompt: globalScanData.charDepthPrompt,
-            trigger: 'normal',
-        };
+    // Toggle visibility of native vs function settings
+    updateToolTypeVisibility();
 
-        // Extract content strings for the scan
-        // IMPORTANT: Exclude existing WI from the scan to prevent self-triggering loops
-        const chatStrings = messages
-            .filter(m => m.identifier !== WORLD_INFO.BEFORE && m.identifier !== WORLD_INFO.AFTER)
-            .map(m => {
-                if (typeof m.content === 'string') return m.content;
-                if (Array.isArray(m.content)) return m.content.map(c => c.text || '').join('\n');
-                return '';
-            });
+    // Populate backend dropdown and toggle backend-specific fields
+    populateBackendDropdown();
+    updateBackendVisibility();
 
-        // Get max context
-        const maxContext = context.chatCompletionSettings?.openai_max_context || 4096;
+    // Toggle visibility of depth field
+    updateInjectionPositionVisibility();
+    updateInjectionSplitVisibility();
+    updateBudgetStrategyVisibility();
+    updateIngestSinkVisibility();
+    validateStructuredSchema();
 
-        // Re-generate WI
-        const wiResult = await context.getWorldInfoPrompt(chatStrings, maxContext, false, scanData);
+    // Show the selected pipeline's RAG and condense profiles
+    $("#rag_model_profile").val(pipeline.ragProfileId || "");
+    $("#rag_condense_profile").val(pipeline.condenseProfileId || "");
+    $("#rag_expansion_profile").val(pipeline.expansionProfileId || "");
 
-        // Update our local strings
-        const worldInfoBefore = wiResult.worldInfoBefore || "";
-        const worldInfoAfter = wiResult.worldInfoAfter || "";
+    updateOverrideStatus();
+}
 
-        debugLog(`Regenerated World Info: Before=${worldInfoBefore.length}, After=${worldInfoAfter.length}`);
+/**
+ * Populate the pipeline dropdown
+ */
+function populatePipelineDropdown() {
+    const settings = getSettings();
+    const dropdown = $("#rag_pipeline_select");
+    dropdown.empty();
+
+    settings.pipelines.forEach((pipeline, i) => {
+        const label = `${i + 1}. ${pipeline.name || "Untitled"}${pipeline.enabled ? "" : " (disabled)"}`;
+        dropdown.append($("<option>").val(pipeline.id).text(label));
+    });
+
+    dropdown.val(settings.selectedPipelineId);
+}
+
+// Settings keys that aren't part of a preset: the preset list itself and the master switches.
+// At both levels, endpoints and their headers (they can carry credentials) and connection
+// profile IDs (they only mean something on this machine) stay out of presets and exports
+const PRESET_EXCLUDED_KEYS = [
+    "presets", "selectedPresetId",
+    "enabled", "debugMode",
+    "ingestEndpointUrl", "ingestHttpHeaders",
+    "summaryProfileId",
+];
+
+// Pipeline keys left out of presets by the same rule; loading a preset keeps the
+// current values of the pipelines it shares IDs with
+const PRESET_EXCLUDED_PIPELINE_KEYS = [
+    "retrievalEndpointUrl", "httpHeaders",
+    "ragProfileId", "expansionProfileId", "condenseProfileId",
+];
+
+/**
+ * Get a preset by ID
+ * @param {string} id - Preset ID
+ * @returns {object|undefined}
+ */
+function getPreset(id) {
+    return getSettings().presets.find(p => p.id === id);
+}
+
+/**
+ * Snapshot the current settings for a preset
+ * Settings from older versions (e.g. imported files) are migrated first
+ * @param {object} [source] - Settings to snapshot, defaults to the current settings
+ * @returns {object}
+ */
+function getPresetSnapshot(source = getSettings()) {
+    const migrated = structuredClone(source);
+    if ("pipelines" in migrated || Object.keys(DEFAULT_PIPELINE).some(key => key in migrated)) {
+        migratePipelines(migrated);
+    }
+
+    const snapshot = {};
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+        if (!PRESET_EXCLUDED_KEYS.includes(key) && key in migrated) {
+            snapshot[key] = migrated[key];
+        }
+    }
+    snapshot.pipelines?.forEach(pipeline => PRESET_EXCLUDED_PIPELINE_KEYS.forEach(key => delete pipeline[key]));
+    return snapshot;
+}
+
+/**
+ * Replace the current settings with a preset's
+ * @param {object} preset - Preset to load
+ */
+function applyPreset(preset) {
+    const settings = getSettings();
+    const current = new Map(settings.pipelines.map(p => [p.id, p]));
+    const snapshot = getPresetSnapshot({ ...DEFAULT_SETTINGS, ...preset.settings });
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+        if (!PRESET_EXCLUDED_KEYS.includes(key)) settings[key] = snapshot[key];
+    }
+    for (const pipeline of settings.pipelines) {
+        for (const key of PRESET_EXCLUDED_PIPELINE_KEYS) {
+            if (current.has(pipeline.id)) pipeline[key] = current.get(pipeline.id)[key];
+        }
+    }
+    migratePipelines(settings);
+    settings.selectedPresetId = preset.id;
+
+    saveSettingsDebounced();
+    loadSettingsUI();
+    debugLog("Loaded preset:", preset.name);
+}
+
+/**
+ * Populate the preset dropdown and the selected preset's bound profile
+ */
+function populatePresetDropdown() {
+    const settings = getSettings();
+    const dropdown = $("#rag_preset_select");
+    dropdown.empty();
+    dropdown.append($("<option>").val("").text("-- No Preset --"));
+
+    settings.presets.forEach(preset => {
+        const profile = preset.profileId ? ` [${getProfileName(preset.profileId)}]` : "";
+        dropdown.append($("<option>").val(preset.id).text(`${preset.name}${profile}`));
+    });
+
+    const preset = getPreset(settings.selectedPresetId);
+    dropdown.val(preset ? preset.id : "");
+    $("#rag_preset_profile").val(preset?.profileId || "").prop("disabled", !preset);
+    $("#rag_preset_profile_only").prop("checked", Boolean(preset?.profileOnly)).prop("disabled", !preset?.profileId);
+}
+
+/**
+ * Load the preset picked in the dropdown
+ * @param {string} id - Preset ID, "" to detach from any preset
+ */
+function selectPreset(id) {
+    const preset = getPreset(id);
+    if (preset) {
+        applyPreset(preset);
+    } else {
+        getSettings().selectedPresetId = "";
+        saveSettingsDebounced();
+        populatePresetDropdown();
+    }
+}
+
+/**
+ * Overwrite the selected preset with the current settings, or create one if none is selected
+ */
+async function savePreset() {
+    const preset = getPreset(getSettings().selectedPresetId);
+    if (!preset) {
+        await savePresetAs();
+        return;
+    }
+
+    preset.settings = getPresetSnapshot();
+    saveSettingsDebounced();
+    toastr.success(`Preset "${preset.name}" saved.`, "RAG Context Injector");
+}
+
+/**
+ * Save the current settings as a new preset
+ */
+async function savePresetAs() {
+    const { callGenericPopup, POPUP_TYPE } = getContext();
+    const name = await callGenericPopup("Preset name", POPUP_TYPE.INPUT, "");
+    if (!name || !String(name).trim()) return;
+
+    const settings = getSettings();
+    const preset = { id: uuidv4(), name: String(name).trim(), profileId: "", settings: getPresetSnapshot() };
+    settings.presets.push(preset);
+    settings.selectedPresetId = preset.id;
+    saveSettingsDebounced();
+    populatePresetDropdown();
+}
+
+/**
+ * Rename the selected preset
+ */
+async function renamePreset() {
+    const preset = getPreset(getSettings().selectedPresetId);
+    if (!preset) return;
+
+    const { callGenericPopup, POPUP_TYPE } = getContext();
+    const name = await callGenericPopup("Preset name", POPUP_TYPE.INPUT, preset.name);
+    if (!name || !String(name).trim()) return;
+
+    preset.name = String(name).trim();
+    saveSettingsDebounced();
+    populatePresetDropdown();
+}
+
+/**
+ * Delete the selected preset; the current settings are kept
+ */
+async function deletePreset() {
+    const settings = getSettings();
+    const preset = getPreset(settings.selectedPresetId);
+    if (!preset) return;
+
+    const { callGenericPopup, POPUP_TYPE } = getContext();
+    const confirmed = await callGenericPopup(`Delete preset "${escapeHtml(preset.name)}"?`, POPUP_TYPE.CONFIRM);
+    if (!confirmed) return;
+
+    settings.presets.splice(settings.presets.indexOf(preset), 1);
+    settings.selectedPresetId = "";
+    saveSettingsDebounced();
+    populatePresetDropdown();
+}
 
-        // Update messages IN-PLACE to preserve order
+/**
+ * Download the selected preset (or the current settings) as a JSON file
+ */
+function exportPreset() {
+    const preset = getPreset(getSettings().selectedPresetId);
+    const name = preset?.name || "RAG Settings";
+    const data = { name, settings: preset ? preset.settings : getPresetSnapshot() };
+    download(JSON.stringify(data, null, 4), `${name}.json`, "application/json");
+}
 
-        // Update or Insert 'worldInfoAfter'
-        if (wiAfterIndex !== -1) {
-            if (worldInfoAfter) {
-                messages[wiAfterIndex].content = worldInfoAfter;
-                messages[wiAfterIndex].role = worldInfoAfterRole; // Use retained role
-            } else {
-                messages.splice(wiAfterIndex, 1);
-                // Adjust beforeIndex if it was after the spliced element
-                if (wiBeforeIndex > wiAfterIndex) wiBeforeIndex--;
-            }
-        } else if (worldInfoAfter) {
-            messages.push({
-                role: worldInfoAfterRole,
-                content: worldInfoAfter,
-                identifier: WORLD_INFO.AFTER
-            });
+/**
+ * Import a preset from a JSON file and load it
+ * Accepts an exported preset ({ name, settings }) or a bare settings object
+ * @param {File} file - Selected file
+ */
+async function importPreset(file) {
+    try {
+        const data = JSON.parse(await file.text());
+        if (!data || typeof data !== "object" || Array.isArray(data)) {
+            throw new Error("Not a settings object");
         }
 
-        // Update or Insert 'worldInfoBefore'
-        if (wiBeforeIndex !== -1) {
-            if (worldInfoBefore) {
-                messages[wiBeforeIndex].content = worldInfoBefore;
-                messages[wiBeforeIndex].role = worldInfoBeforeRole; // Use retained role
-            } else {
-                messages.splice(wiBeforeIndex, 1);
-            }
-        } else if (worldInfoBefore) {
-            messages.unshift({
-                role: worldInfoBeforeRole,
-                content: worldInfoBefore,
-                identifier: WORLD_INFO.BEFORE
-            });
+        const source = data.settings && typeof data.settings === "object" ? data.settings : data;
+        const settings = getPresetSnapshot(source);
+        if (Object.keys(settings).length === 0) {
+            throw new Error("No RAG settings found");
         }
 
-    } catch (e) {
-        console.error(DEBUG_PREFIX, "Error reprocessing World Info:", e);
+        const name = String(data.name || file.name.replace(/\.json$/i, "")).trim() || "Imported";
+        const preset = { id: uuidv4(), name, profileId: "", settings };
+        getSettings().presets.push(preset);
+        applyPreset(preset);
+        toastr.success(`Preset "${name}" imported.`, "RAG Context Injector");
+    } catch (error) {
+        console.error(DEBUG_PREFIX, "Preset import failed:", error);
+        toastr.error(`Preset import failed: ${error.message}`, "RAG Context Injector");
     }
 }
 
 /**
- * Main injection handler - sends RAG request and injects response
- * Triggered by CHAT_COMPLETION_SETTINGS_READY event
- * @param {object} data - The request payload being prepared
+ * Bind the selected preset to a connection profile
+ * @param {object} profile - Selected profile
  */
-async function onChatCompletionSettingsReady(data) {
-    // Always log entry for debugging
-    console.log(DEBUG_PREFIX, "Event triggered - CHAT_COMPLETION_SETTINGS_READY");
-    const settings = getSettings();
-
-    // Check if we should run
-    const validation = shouldRunRag(settings, data);
-    if (!validation.shouldRun) {
-        if (validation.reason) console.log(DEBUG_PREFIX, `${validation.reason}, skipping`);
-        return;
-    }
+function onPresetProfileChange(profile) {
+    const preset = getPreset(getSettings().selectedPresetId);
+    if (!preset) return;
 
-    console.log(DEBUG_PREFIX, "Starting RAG request to profile:", settings.ragProfileId);
+    preset.profileId = profile?.id || "";
+    saveSettingsDebounced();
+    populatePresetDropdown();
+}
 
-    try {
-        isProcessingRag = true;
+/**
+ * Only run RAG with the selected preset's bound profile
+ * @param {boolean} value - Checkbox state
+ */
+function onPresetProfileOnlyChange(value) {
+    const preset = getPreset(getSettings().selectedPresetId);
+    if (!preset) return;
 
-        // Attempt to reconstruct messages if missing
-        reconstructMessages(data);
+    preset.profileOnly = value;
+    saveSettingsDebounced();
+}
 
-        // Extract Existing World Info (for template macros)
-        const worldInfo = await extractWorldInfo(data.messages);
+/**
+ * Load the preset bound to the connection profile that was just selected
+ */
+function onConnectionProfileLoaded() {
+    const settings = getSettings();
+    const profileId = getContext().extensionSettings?.connectionManager?.selectedProfile;
+    const preset = profileId && settings.presets.find(p => p.profileId === profileId);
+    if (!preset || preset.id === settings.selectedPresetId) return;
 
-        // [[ENHANCED DEBUG]] Log all message identifiers to see what's actually in the request
-        debugLog("[[DEBUG]] Message identifiers in data.messages:",
-            data.messages.map(m => ({
-                identifier: m.identifier || 'NO_IDENTIFIER',
-                role: m.role,
-                contentLength: typeof m.content === 'string' ? m.content.length :
-                    Array.isArray(m.content) ? m.content.length + ' items' : 'unknown'
-            }))
-        );
+    applyPreset(preset);
+    toastr.info(`Loaded RAG preset "${preset.name}".`, "RAG Context Injector");
+}
 
-        // Send RAG request
-        const ragResponse = await sendRagRequest(settings, data.messages, worldInfo);
+/**
+ * Show a pipeline in the settings UI
+ * @param {string} id - Pipeline ID
+ */
+function selectPipeline(id) {
+    getSettings().selectedPipelineId = id;
+    saveSettingsDebounced();
+    loadSettingsUI();
+}
 
-        if (!ragResponse) {
-            debugLog("No RAG response content, continuing without injection");
-            return;
-        }
+/**
+ * Add a new pipeline with default settings
+ */
+function addPipeline() {
+    const settings = getSettings();
+    const pipeline = {
+        ...structuredClone(DEFAULT_PIPELINE),
+        id: uuidv4(),
+        name: `Pipeline ${settings.pipelines.length + 1}`,
+    };
+    settings.pipelines.push(pipeline);
+    selectPipeline(pipeline.id);
+}
 
-        // Format the injection using the template
-        const injectionContent = replaceTemplateVars(settings.injectionTemplate, data.messages, {
-            ragResponse: ragResponse,
-            worldInfoBefore: worldInfo.before,
-            worldInfoAfter: worldInfo.after
-        });
-        debugLog("[[DEBUG]] Injection content:", injectionContent);
+/**
+ * Copy the selected pipeline and insert the copy after it
+ */
+function duplicatePipeline() {
+    const settings = getSettings();
+    const source = getSelectedPipeline();
+    const pipeline = {
+        ...structuredClone(source),
+        id: uuidv4(),
+        name: `${source.name} (copy)`,
+    };
+    settings.pipelines.splice(settings.pipelines.indexOf(source) + 1, 0, pipeline);
+    selectPipeline(pipeline.id);
+}
 
-        // Inject RAG context
-        if (Array.isArray(data.messages) && data.messages.length > 0) {
-            injectRagContext(data.messages, injectionContent, settings);
+/**
+ * Delete the selected pipeline after confirmation (the last one can't be deleted)
+ */
+async function deletePipeline() {
+    const settings = getSettings();
+    if (settings.pipelines.length <= 1) {
+        toastr.warning("At least one pipeline is required.", "RAG Context Injector");
+        return;
+    }
 
-            // Reprocess World Info if enabled
-            if (settings.reprocessWorldInfo) {
-                await reprocessWorldInfo(data.messages);
-            }
+    const pipeline = getSelectedPipeline();
+    const { callGenericPopup, POPUP_TYPE } = getContext();
+    const confirmed = await callGenericPopup(`Delete pipeline "${escapeHtml(pipeline.name)}"?`, POPUP_TYPE.CONFIRM);
+    if (!confirmed) return;
 
-            // Optionally append to system prompt
-            if (settings.systemPromptAddition && Array.isArray(data.messages)) {
-                const systemMessage = data.messages.find(m => m.role === ROLES.SYSTEM);
-                if (systemMessage) {
-                    systemMessage.content += "\n\n" + settings.systemPromptAddition;
-                }
-            }
+    const index = settings.pipelines.indexOf(pipeline);
+    settings.pipelines.splice(index, 1);
+    selectPipeline(settings.pipelines[Math.max(0, index - 1)].id);
+}
 
-            debugLog("RAG injection complete");
-            debugLog("[[DEBUG]] data.messages after injection:", JSON.stringify(data.messages, null, 2));
+/**
+ * Move the selected pipeline up or down the list
+ * @param {number} offset - -1 to move up, 1 to move down
+ */
+function movePipeline(offset) {
+    const settings = getSettings();
+    const pipeline = getSelectedPipeline();
+    const index = settings.pipelines.indexOf(pipeline);
+    const target = index + offset;
+    if (target < 0 || target >= settings.pipelines.length) return;
+
+    settings.pipelines.splice(index, 1);
+    settings.pipelines.splice(target, 0, pipeline);
+    selectPipeline(pipeline.id);
+}
 
-            // Optionally add retrieval tool to main model request
-            if (settings.enableMainModelTools) {
-                const mainTool = settings.useNativeRetrieval
-                    ? buildRetrievalTool()
-                    : buildFunctionTool();
+/**
+ * Show which overrides apply to the selected pipeline
+ */
+function updateOverrideStatus() {
+    const pipeline = getSelectedPipeline();
+    const scopes = [];
+    if (Object.keys(pickOverrides(getCharacterOverrides()[pipeline.id])).length) scopes.push("character");
+    if (Object.keys(pickOverrides(getChatOverrides()[pipeline.id])).length) scopes.push("chat");
+    $("#rag_override_status").text(scopes.length ? `Active overrides: ${scopes.join(", ")}` : "No overrides");
+}
 
-                if (mainTool) {
-                    if (!data.tools) data.tools = [];
-                    data.tools.push(mainTool);
+/**
+ * Store the overrides of one pipeline on the current character card or chat
+ * @param {"character"|"chat"} scope - Where to store them
+ * @param {string} pipelineId - Pipeline ID
+ * @param {object} values - Overrides; empty removes them
+ * @param {number|string} [characterId] - Character to store them on, defaults to the current character
+ */
+async function saveOverrides(scope, pipelineId, values, characterId = getContext().characterId) {
+    const context = getContext();
+    const all = { ...(scope === "character" ? getCharacterOverrides(characterId) : getChatOverrides()) };
+    if (Object.keys(values).length) {
+        all[pipelineId] = values;
+    } else {
+        delete all[pipelineId];
+    }
 
-                    if (settings.mainModelToolChoice !== "none") {
-                        data.tool_choice = settings.mainModelToolChoice;
-                    }
-                    console.log(DEBUG_PREFIX, "Added tool to main model request");
-                }
-            }
-        }
-    } catch (error) {
-        console.error(DEBUG_PREFIX, "Error in RAG injection:", error);
-        if (error.cause) {
-            console.error(DEBUG_PREFIX, "Caused by:", error.cause);
-        }
-    } finally {
-        isProcessingRag = false;
+    if (scope === "character") {
+        await context.writeExtensionField(characterId, OVERRIDES_FIELD, all);
+    } else {
+        context.chatMetadata[OVERRIDES_FIELD] = all;
+        await context.saveMetadata();
     }
 }
 
-
 /**
- * Load extension settings into the UI
+ * Ask which member of the current group to edit the overrides of
+ * @returns {Promise<number|undefined>} - Character index, undefined if cancelled
  */
-function loadSettingsUI() {
-    const settings = getSettings();
+async function pickGroupMember() {
+    const context = getContext();
+    const group = context.groups?.find(g => g.id === context.groupId);
+    const members = (group?.members || [])
+        .map(avatar => context.characters.findIndex(c => c.avatar === avatar))
+        .filter(index => index >= 0);
+    if (members.length === 0) {
+        toastr.warning("This group has no members.", "RAG Context Injector");
+        return undefined;
+    }
 
-    // Load all bound settings using the UI_BINDINGS configuration
-    UI_BINDINGS.forEach(({ id, key, type }) => {
-        const $el = $(`#${id}`);
-        const value = settings[key];
+    let picked = members[0];
+    const { callGenericPopup, POPUP_TYPE, POPUP_RESULT } = context;
+    const html = `
+        <div class="rag-overrides-popup">
+            <h3>Edit character overrides for</h3>
+            <select id="rag_override_member" class="text_pole">
+                ${members.map(i => `<option value="${i}">${escapeHtml(context.characters[i].name)}</option>`).join("")}
+            </select>
+        </div>`;
+    const result = await callGenericPopup(html, POPUP_TYPE.CONFIRM, "", {
+        okButton: "Edit",
+        onClosing: (popup) => {
+            picked = Number($(popup.content).find("#rag_override_member").val());
+            return true;
+        },
+    });
 
-        if (type === 'checkbox') {
-            $el.prop('checked', value);
+    return result === POPUP_RESULT.AFFIRMATIVE ? picked : undefined;
+}
+
+/**
+ * Edit the selected pipeline's overrides for the current character or chat
+ * In group chats, character overrides are edited for a member picked first
+ * Empty fields fall back to the pipeline's value
+ * @param {"character"|"chat"} scope - Which overrides to edit
+ */
+async function showOverridesPopup(scope) {
+    const context = getContext();
+    const characterId = scope === "character" && context.groupId ? await pickGroupMember() : context.characterId;
+    if (scope === "character" && (characterId === undefined || !context.characters[characterId])) {
+        if (!context.groupId) toastr.warning("Select a character first.", "RAG Context Injector");
+        return;
+    }
+    if (scope === "chat" && !context.getCurrentChatId()) {
+        toastr.warning("Open a chat first.", "RAG Context Injector");
+        return;
+    }
+
+    const pipeline = getSelectedPipeline();
+    const current = (scope === "character" ? getCharacterOverrides(characterId) : getChatOverrides())[pipeline.id] ?? {};
+    const target = scope === "character" ? context.characters[characterId].name : "this chat";
+
+    const fields = OVERRIDE_FIELDS.map(({ key, label, type, options }) => {
+        const value = current[key] ?? "";
+        const placeholder = escapeHtml(String(pipeline[key] ?? ""));
+        let input;
+        if (type === "boolean" || type === "select") {
+            const choices = type === "boolean" ? [["true", "Enabled"], ["false", "Disabled"]] : options.map(o => [o, o]);
+            input = `<select class="text_pole" data-override-key="${key}">
+                <option value="">Inherit (${placeholder})</option>
+                ${choices.map(([v, l]) => `<option value="${v}" ${String(value) === v ? "selected" : ""}>${l}</option>`).join("")}
+            </select>`;
+        } else if (type === "textarea") {
+            input = `<textarea class="text_pole" rows="3" data-override-key="${key}" placeholder="${placeholder}">${escapeHtml(String(value))}</textarea>`;
         } else {
-            $el.val(value);
+            input = `<input type="${type}" class="text_pole" data-override-key="${key}" placeholder="${placeholder}" value="${escapeHtml(String(value))}" />`;
         }
+        return `<label>${label}</label>${input}`;
+    }).join("");
+
+    const html = `
+        <div class="rag-overrides-popup">
+            <h3>${escapeHtml(pipeline.name)}: overrides for ${escapeHtml(target)}</h3>
+            <small>Leave a field empty to use the pipeline's setting.</small>
+            ${fields}
+        </div>`;
+
+    let values = {};
+    const { callGenericPopup, POPUP_TYPE, POPUP_RESULT } = context;
+    const result = await callGenericPopup(html, POPUP_TYPE.TEXT, "", {
+        okButton: "Save",
+        cancelButton: "Cancel",
+        customButtons: [{ text: "Clear All", result: POPUP_RESULT.CUSTOM1 }],
+        wide: true,
+        allowVerticalScrolling: true,
+        onClosing: (popup) => {
+            $(popup.content).find("[data-override-key]").each((_, el) => {
+                const key = $(el).data("override-key");
+                const raw = String($(el).val()).trim();
+                if (raw === "") return;
+                const { type } = OVERRIDE_FIELDS.find(f => f.key === key);
+                values[key] = type === "boolean" ? raw === "true" : type === "number" ? Number(raw) : raw;
+            });
+            return true;
+        },
     });
 
-    // Populate provider dropdown
-    populateProviderDropdown();
-
-    // Toggle visibility of native vs function settings
-    updateToolTypeVisibility();
+    if (result === POPUP_RESULT.CUSTOM1) {
+        values = {};
+    } else if (result !== POPUP_RESULT.AFFIRMATIVE) {
+        return;
+    }
 
-    // Toggle visibility of depth field
-    updateInjectionPositionVisibility();
+    try {
+        await saveOverrides(scope, pipeline.id, values, characterId);
+        updateOverrideStatus();
+    } catch (error) {
+        console.error(DEBUG_PREFIX, "Failed to save overrides:", error);
+        toastr.error(`Failed to save overrides: ${error.message}`, "RAG Context Injector");
+    }
 }
 
 /**
  * Toggle visibility based on tool type selection
  */
 function updateToolTypeVisibility() {
-    const useNative = $("#rag_use_native_retrieval").prop("checked");
+    const direct = $("#rag_direct_retrieval").prop("checked");
+    const useNative = !direct && $("#rag_use_native_retrieval").prop("checked");
     const provider = $("#rag_retrieval_provider").val();
 
+    // Direct retrieval always uses a backend and has no RAG model
+    $(".rag-direct-settings").toggle(direct);
+    $(".rag-model-settings").toggle(!direct);
+
     $(".rag-function-settings").toggle(!useNative);
     $(".rag-native-settings").toggle(useNative);
 
@@ -880,7 +5800,46 @@ function updateToolTypeVisibility() {
  */
 function updateInjectionPositionVisibility() {
     const position = $("#rag_injection_position").val();
-    $(".rag-depth-field").toggle(position === "depth");
+    const anchored = position === "lastUser" || position === "identifier";
+    // Anchored positions fall back to the depth if the anchor is missing
+    $(".rag-depth-field").toggle(position === "depth" || anchored);
+    $(".rag-anchor-field").toggle(anchored);
+    $(".rag-identifier-field").toggle(position === "identifier");
+}
+
+/**
+ * Toggle visibility of the injection sections
+ */
+function updateInjectionSplitVisibility() {
+    $(".rag-sections-field").toggle($("#rag_injection_split").val() !== "off");
+    validateInjectionSections();
+}
+
+/**
+ * Validate the injection sections JSON and show the result
+ */
+function validateInjectionSections() {
+    const $msg = $("#rag_injection_sections_msg");
+    const $field = $("#rag_injection_sections");
+
+    try {
+        const sections = JSON.parse(String($field.val()));
+        if (!Array.isArray(sections) || sections.some(section => typeof section?.name !== "string" || !section.name)) {
+            throw new Error("expected an array of sections, each with a name");
+        }
+        $msg.text(`✓ ${sections.length} section(s)`).css("color", "var(--smart-theme-color, #0f0)");
+        $field.css("border-color", "var(--smart-theme-color, #0f0)");
+    } catch (e) {
+        $msg.text(`✗ Invalid sections: ${e.message}`).css("color", "red");
+        $field.css("border-color", "red");
+    }
+}
+
+/**
+ * Toggle visibility of the condense settings
+ */
+function updateBudgetStrategyVisibility() {
+    $(".rag-condense-settings").toggle($("#rag_budget_strategy").val() === "condense");
 }
 
 /**
@@ -894,7 +5853,43 @@ function populateProviderDropdown() {
         dropdown.append(`<option value="${key}">${provider.name}</option>`);
     }
 
-    dropdown.val(getSettings().retrievalProvider);
+    dropdown.val(getSelectedPipeline().retrievalProvider);
+}
+
+/**
+ * Populate the retrieval backend dropdown with available options
+ */
+function populateBackendDropdown() {
+    const dropdown = $("#rag_retrieval_backend");
+    dropdown.empty();
+
+    for (const [key, backend] of Object.entries(RETRIEVAL_BACKENDS)) {
+        dropdown.append(`<option value="${key}">${backend.name}</option>`);
+    }
+
+    dropdown.val(getSelectedPipeline().retrievalBackend);
+}
+
+/**
+ * Toggle visibility of the selected memory writing sink's settings
+ */
+function updateIngestSinkVisibility() {
+    const sink = $("#rag_ingest_sink").val();
+    $(".rag-ingest-http-settings").toggle(sink === "http");
+    $(".rag-ingest-export-settings").toggle(sink === "export");
+    $("#rag_ingest_now span").text(sink === "export" ? "Export Now" : "Write Now");
+    updateIngestStatus();
+}
+
+/**
+ * Toggle visibility of backend-specific settings
+ */
+function updateBackendVisibility() {
+    const backend = $("#rag_retrieval_backend").val();
+    $(".rag-backend-http-settings").toggle(backend === "http");
+    $(".rag-backend-vector-settings").toggle(backend === "vectorStorage");
+    $(".rag-backend-local-settings").toggle(backend === "localIndex");
+    updateLocalIndexStatus();
 }
 
 /**
@@ -928,20 +5923,42 @@ function validateCustomJson() {
     }
 }
 
+/**
+ * Validate the structured output schema and show the result
+ */
+function validateStructuredSchema() {
+    const $msg = $("#rag_structured_schema_msg");
+    const $field = $("#rag_structured_schema");
+
+    if (getStructuredSchema({ structuredSchema: $field.val() })) {
+        $msg.text("✓ Valid JSON").css("color", "var(--smart-theme-color, #0f0)");
+        $field.css("border-color", "var(--smart-theme-color, #0f0)");
+    } else {
+        $msg.text("✗ Invalid JSON: the schema is only described in the prompt").css("color", "red");
+        $field.css("border-color", "red");
+    }
+}
+
 /**
  * Save settings from UI
  */
 function saveSettings() {
-    const settings = extension_settings[EXTENSION_NAME];
+    const globalSettings = extension_settings[EXTENSION_NAME];
+    const pipeline = getSelectedPipeline();
 
     // Save all bound settings using the UI_BINDINGS configuration
-    UI_BINDINGS.forEach(({ id, key, type, default: defaultValue }) => {
+    UI_BINDINGS.forEach(({ id, key, type, default: defaultValue, pipeline: isPipelineKey }) => {
         const $el = $(`#${id}`);
+        const settings = isPipelineKey ? pipeline : globalSettings;
 
         if (type === 'checkbox') {
             settings[key] = $el.prop('checked');
         } else if (type === 'number') {
-            settings[key] = parseInt(String($el.val()), 10) || defaultValue;
+            const value = parseInt(String($el.val()), 10);
+            settings[key] = Number.isNaN(value) ? defaultValue : value;
+        } else if (type === 'float') {
+            const value = parseFloat(String($el.val()));
+            settings[key] = Number.isFinite(value) ? value : defaultValue;
         } else {
             settings[key] = $el.val();
         }
@@ -955,21 +5972,43 @@ function saveSettings() {
  * @param {object} profile - Selected profile
  */
 function onRagProfileChange(profile) {
-    const settings = extension_settings[EXTENSION_NAME];
-    settings.ragProfileId = profile?.id || "";
+    const pipeline = getSelectedPipeline();
+    pipeline.ragProfileId = profile?.id || "";
+    saveSettingsDebounced();
+    debugLog(`[${pipeline.name}] RAG profile set to:`, profile?.name || "None");
+}
+
+/**
+ * Handle query expansion profile selection change
+ * @param {object} profile - Selected profile
+ */
+function onExpansionProfileChange(profile) {
+    const pipeline = getSelectedPipeline();
+    pipeline.expansionProfileId = profile?.id || "";
     saveSettingsDebounced();
-    debugLog("RAG profile set to:", profile?.name || "None");
+    debugLog(`[${pipeline.name}] Query expansion profile set to:`, profile?.name || "None");
 }
 
 /**
- * Handle filter profile selection change
+ * Handle condense profile selection change
  * @param {object} profile - Selected profile
  */
-function onFilterProfileChange(profile) {
+function onCondenseProfileChange(profile) {
+    const pipeline = getSelectedPipeline();
+    pipeline.condenseProfileId = profile?.id || "";
+    saveSettingsDebounced();
+    debugLog(`[${pipeline.name}] Condense profile set to:`, profile?.name || "None");
+}
+
+/**
+ * Handle summary profile selection
+ * @param {object|null} profile - Selected profile
+ */
+function onSummaryProfileChange(profile) {
     const settings = extension_settings[EXTENSION_NAME];
-    settings.filterProfileId = profile?.id || "";
+    settings.summaryProfileId = profile?.id || "";
     saveSettingsDebounced();
-    debugLog("Filter profile set to:", profile?.name || "None");
+    debugLog("Summary profile set to:", profile?.name || "None");
 }
 
 /**
@@ -979,9 +6018,11 @@ jQuery(async () => {
     // Initialize settings
     extension_settings[EXTENSION_NAME] = extension_settings[EXTENSION_NAME] || {};
     Object.assign(extension_settings[EXTENSION_NAME], {
-        ...DEFAULT_SETTINGS,
+        ...structuredClone(DEFAULT_SETTINGS),
         ...extension_settings[EXTENSION_NAME],
     });
+    migratePipelines(extension_settings[EXTENSION_NAME]);
+    migrateProfileFilter(extension_settings[EXTENSION_NAME]);
 
     // Load settings HTML
     const settingsHtml = await $.get(`${EXTENSION_FOLDER}/settings.html`);
@@ -992,10 +6033,9 @@ jQuery(async () => {
 
     // Set up RAG model profile dropdown (required)
     try {
-        const settings = getSettings();
         ConnectionManagerRequestService.handleDropdown(
             "#rag_model_profile",
-            settings.ragProfileId,
+            getSelectedPipeline().ragProfileId,
             onRagProfileChange,
             () => { },
             () => { },
@@ -1009,21 +6049,61 @@ jQuery(async () => {
         );
     }
 
-    // Set up filter profile dropdown (optional)
     try {
-        const settings = getSettings();
         ConnectionManagerRequestService.handleDropdown(
-            "#rag_filter_profile",
-            settings.filterProfileId,
-            onFilterProfileChange,
+            "#rag_summary_profile",
+            getSettings().summaryProfileId,
+            onSummaryProfileChange,
+            () => { },
+            () => { },
+            () => { }
+        );
+    } catch (error) {
+        console.warn(DEBUG_PREFIX, "Could not initialize summary profile dropdown");
+    }
+
+    // Set up query expansion profile dropdown (optional)
+    try {
+        ConnectionManagerRequestService.handleDropdown(
+            "#rag_expansion_profile",
+            getSelectedPipeline().expansionProfileId,
+            onExpansionProfileChange,
+            () => { },
+            () => { },
+            () => { }
+        );
+    } catch (error) {
+        console.warn(DEBUG_PREFIX, "Could not initialize query expansion profile dropdown");
+    }
+
+    // Set up condense profile dropdown (optional)
+    try {
+        ConnectionManagerRequestService.handleDropdown(
+            "#rag_condense_profile",
+            getSelectedPipeline().condenseProfileId,
+            onCondenseProfileChange,
+            () => { },
+            () => { },
+            () => { }
+        );
+    } catch (error) {
+        console.warn(DEBUG_PREFIX, "Could not initialize condense profile dropdown");
+    }
+
+    // Set up preset profile dropdown (optional)
+    try {
+        ConnectionManagerRequestService.handleDropdown(
+            "#rag_preset_profile",
+            getPreset(getSettings().selectedPresetId)?.profileId ?? "",
+            onPresetProfileChange,
             () => { },
             () => { },
             () => { }
         );
-        debugLog("Filter profile dropdown initialized");
+        populatePresetDropdown();
     } catch (error) {
-        console.warn(DEBUG_PREFIX, "Could not initialize filter profile dropdown");
-        $("#rag_profile_filter_section").hide();
+        console.warn(DEBUG_PREFIX, "Could not initialize preset profile dropdown");
+        $("#rag_preset_profile_row").hide();
     }
 
     // Set up event listeners for settings changes using UI_BINDINGS
@@ -1031,7 +6111,16 @@ jQuery(async () => {
     const extraHandlers = {
         updateToolTypeVisibility,
         updateInjectionPositionVisibility,
+        updateBudgetStrategyVisibility,
+        updateBackendVisibility,
         validateCustomJson,
+        populatePipelineDropdown,
+        updateRagMessageButtons,
+        updateIngestSinkVisibility,
+        updateIngestStatus,
+        validateStructuredSchema,
+        updateInjectionSplitVisibility,
+        validateInjectionSections,
     };
 
     UI_BINDINGS.forEach(({ id, type, onChangeExtra }) => {
@@ -1042,16 +6131,110 @@ jQuery(async () => {
         if (onChangeExtra && extraHandlers[onChangeExtra]) {
             // Element has a side effect handler
             $el.on(eventType, () => {
-                extraHandlers[onChangeExtra]();
                 saveSettings();
+                extraHandlers[onChangeExtra]();
             });
         } else {
             $el.on(eventType, saveSettings);
         }
     });
 
+    // Pipeline list controls
+    $("#rag_pipeline_select").on("change", function () {
+        selectPipeline(String($(this).val()));
+    });
+    $("#rag_pipeline_add").on("click", addPipeline);
+    $("#rag_pipeline_duplicate").on("click", duplicatePipeline);
+    $("#rag_pipeline_delete").on("click", deletePipeline);
+    $("#rag_pipeline_move_up").on("click", () => movePipeline(-1));
+    $("#rag_pipeline_move_down").on("click", () => movePipeline(1));
+    $("#rag_preset_select").on("change", (e) => selectPreset(String($(e.target).val())));
+    $("#rag_preset_profile_only").on("change", (e) => onPresetProfileOnlyChange($(e.target).prop("checked")));
+    $("#rag_preset_save").on("click", savePreset);
+    $("#rag_preset_save_as").on("click", savePresetAs);
+    $("#rag_preset_rename").on("click", renamePreset);
+    $("#rag_preset_delete").on("click", deletePreset);
+    $("#rag_preset_export").on("click", exportPreset);
+    $("#rag_preset_import").on("click", () => $("#rag_preset_import_file").trigger("click"));
+    $("#rag_preset_import_file").on("change", async (e) => {
+        const file = e.target.files?.[0];
+        if (file) await importPreset(file);
+        e.target.value = "";
+    });
+    $("#rag_character_overrides").on("click", () => showOverridesPopup("character"));
+    $("#rag_chat_overrides").on("click", () => showOverridesPopup("chat"));
+
+    $(".rag-template-preview").on("click", function () {
+        previewTemplate(String($(this).data("template")));
+    });
+    $("#rag_dry_run").on("click", dryRunPipeline);
+
+    $("#rag_trace_filter").on("input", debounce(renderTraceLog, 300));
+    $("#rag_trace_status_filter").on("change", renderTraceLog);
+    $("#rag_trace_export").on("click", exportTraces);
+    $("#rag_trace_clear").on("click", clearTraces);
+    $("#rag_trace_list").on("click", "summary", function () {
+        const $details = $(this).parent();
+        if ($details.children(".rag-trace-details").length > 0) return;
+        const entry = traces.find(t => t.id === $details.data("trace-id"));
+        if (entry) $details.append(`<div class="rag-trace-details">${renderTraceDetailsHtml(entry)}</div>`);
+    });
+    loadTraces();
+
+    $("#rag_local_index_rebuild").on("click", rebuildLocalIndex);
+    $("#rag_ingest_now").on("click", ingestNow);
+    $("#rag_ingest_reset").on("click", resetIngestProgress);
+    $("#rag_summary_update").on("click", updateSummaryNow);
+    $("#rag_summary_edit").on("click", editChatSummary);
+    $("#rag_summary_clear").on("click", clearChatSummary);
+    updateSummaryStatus();
+    $("#rag_cache_clear").on("click", clearRagCache);
+    updateCacheStatus();
+
     // Register the main event handler
     eventSource.on(event_types.CHAT_COMPLETION_SETTINGS_READY, onChatCompletionSettingsReady);
 
+    // Track generations and store their RAG context on the reply
+    eventSource.on(event_types.GENERATION_STARTED, onGenerationStarted);
+    eventSource.on(event_types.GENERATION_STOPPED, onGenerationStopped);
+    eventSource.on(event_types.GROUP_MEMBER_DRAFTED, onGroupMemberDrafted);
+    if (event_types.GROUP_WRAPPER_FINISHED) {
+        eventSource.on(event_types.GROUP_WRAPPER_FINISHED, onGroupWrapperFinished);
+    }
+    eventSource.on(event_types.MESSAGE_SENT, clearGroupRoundRuns);
+    eventSource.on(event_types.CHAT_CHANGED, clearGroupRoundRuns);
+    eventSource.on(event_types.MESSAGE_RECEIVED, onMessageReceived);
+
+    // Per-message RAG context button
+    $("#message_template .mes_buttons .extraMesButtons").prepend(
+        '<div title="RAG Context" class="mes_button rag_context_button fa-solid fa-database" data-i18n="[title]RAG Context"></div>'
+    );
+    $(document).on("click", ".rag_context_button", function () {
+        showMessageRagContext(Number($(this).closest(".mes").attr("mesid")));
+    });
+    eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, updateRagMessageButtons);
+    eventSource.on(event_types.CHAT_CHANGED, updateRagMessageButtons);
+    eventSource.on(event_types.CHAT_CHANGED, updateOverrideStatus);
+    eventSource.on(event_types.CONNECTION_PROFILE_LOADED, onConnectionProfileLoaded);
+    eventSource.on(event_types.MESSAGE_SWIPED, updateRagMessageButtons);
+    eventSource.on(event_types.MORE_MESSAGES_LOADED, updateRagMessageButtons);
+
+    // Keep the built-in local index up to date as messages arrive
+    eventSource.on(event_types.MESSAGE_RECEIVED, onLocalIndexMessageUpdated);
+    eventSource.on(event_types.MESSAGE_SENT, onLocalIndexMessageUpdated);
+    eventSource.on(event_types.MESSAGE_EDITED, onLocalIndexMessageUpdated);
+    eventSource.on(event_types.MESSAGE_SWIPED, onLocalIndexMessageUpdated);
+    eventSource.on(event_types.MESSAGE_DELETED, onLocalIndexMessageDeleted);
+
+    // Write finished turns to the knowledge base
+    eventSource.on(event_types.MESSAGE_RECEIVED, onIngestMessageReceived);
+    eventSource.on(event_types.CHAT_CHANGED, updateIngestStatus);
+
+    // Keep the running summary up to date
+    eventSource.on(event_types.MESSAGE_RECEIVED, onSummaryMessageReceived);
+    eventSource.on(event_types.CHAT_CHANGED, updateSummaryStatus);
+
+    registerSlashCommands();
+
     console.log(DEBUG_PREFIX, "Extension loaded");
 });